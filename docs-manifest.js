@@ -0,0 +1,254 @@
+// Reading manifest.json, the docs navigation. Shared by the browser, the
+// service worker and the Node tools; validated against manifest.schema.json.
+//
+// The manifest is either a plain array of entries (the original format) or
+// { "$schema": "manifest.schema.json", "files": [...] }. Entries are:
+//
+//   "folder/Page.md"                                   a page
+//   { "file", "title", "icon", "badge", "hidden" }     a page with options
+//   { "folder", "files", "icon", "badge", "hidden" }   a folder; folders nest
+//   { "title", "url", "icon", "badge", "hidden" }      an external link
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Link text for a page without a "title", e.g. "reference/Quick-Reference.md" -> "Quick Reference"
+    function defaultPageTitle(file) {
+        return file.split('/').pop().replace(/\.md$/, '').replace(/_/g, ' ').replace(/-/g, ' ');
+    }
+
+    function manifestEntries(manifest) {
+        if (Array.isArray(manifest)) {
+            return manifest;
+        }
+        return (manifest && Array.isArray(manifest.files)) ? manifest.files : [];
+    }
+
+    function normalizeEntry(entry, pageTitles) {
+        if (typeof entry === 'string') {
+            return { type: 'page', file: entry, title: pageTitles[entry] || defaultPageTitle(entry), hidden: false };
+        }
+        if (!entry || typeof entry !== 'object') {
+            return null;
+        }
+
+        const common = { icon: entry.icon || null, badge: entry.badge || null, hidden: entry.hidden === true };
+        if (typeof entry.file === 'string') {
+            return { type: 'page', file: entry.file, title: entry.title || pageTitles[entry.file] || defaultPageTitle(entry.file), ...common };
+        }
+        if (typeof entry.folder === 'string') {
+            return {
+                type: 'folder',
+                title: entry.folder.replace(/_/g, ' ').replace(/-/g, ' '),
+                children: normalizeEntries(entry.files, pageTitles),
+                ...common
+            };
+        }
+        if (typeof entry.url === 'string') {
+            return { type: 'link', url: entry.url, title: entry.title || entry.url, ...common };
+        }
+        return null;
+    }
+
+    function normalizeEntries(entries, pageTitles) {
+        return (Array.isArray(entries) ? entries : []).map(entry => normalizeEntry(entry, pageTitles)).filter(Boolean);
+    }
+
+    // The manifest as a tree of { type: 'page' | 'folder' | 'link', title, ... }
+    // nodes. Entries the schema would reject are skipped. A page's title is
+    // its manifest "title", else `pageTitles[file]` (front matter), else one
+    // derived from the file name.
+    function normalizeManifest(manifest, pageTitles = {}) {
+        return normalizeEntries(manifestEntries(manifest), pageTitles);
+    }
+
+    // Every page in sidebar order as { file, title, folders, hidden }, where
+    // `folders` are the titles of the enclosing folders and `hidden` includes
+    // pages inside hidden folders
+    function listManifestPages(manifest, pageTitles = {}) {
+        const pages = [];
+        const walk = (nodes, folders, hidden) => {
+            nodes.forEach(node => {
+                if (node.type === 'page') {
+                    pages.push({ file: node.file, title: node.title, folders, hidden: hidden || node.hidden });
+                } else if (node.type === 'folder') {
+                    walk(node.children, [...folders, node.title], hidden || node.hidden);
+                }
+            });
+        };
+        walk(normalizeManifest(manifest, pageTitles), [], false);
+        return pages;
+    }
+
+    // Flatten manifest.json into the list of document paths it references
+    function listManifestFiles(manifest) {
+        return listManifestPages(manifest).map(page => page.file);
+    }
+
+    // Every folder holding visible pages, in sidebar order, as
+    // { label, title, pages }: `label` is the folder's path ("Reference ›
+    // Tools") and `pages` its visible pages, nested folders included
+    function listManifestFolders(manifest, pageTitles = {}) {
+        const folders = new Map();
+        listManifestPages(manifest, pageTitles).filter(page => !page.hidden).forEach(page => {
+            page.folders.forEach((folder, i) => {
+                const label = page.folders.slice(0, i + 1).join(' › ');
+                if (!folders.has(label)) {
+                    folders.set(label, { label, title: folder, pages: [] });
+                }
+                folders.get(label).pages.push(page);
+            });
+        });
+        return Array.from(folders.values());
+    }
+
+    // ---------------------------------------------------------------
+    // JSON Schema validation
+    //
+    // Covers the draft-07 keywords manifest.schema.json uses: $ref to local
+    // definitions, type, oneOf/anyOf, required, properties,
+    // additionalProperties, items, pattern, minLength and enum. Errors name
+    // the offending entry and use the schema's titles and descriptions.
+    // ---------------------------------------------------------------
+
+    function resolveRef(schema, rootSchema) {
+        let resolved = schema;
+        while (resolved && resolved.$ref) {
+            if (!resolved.$ref.startsWith('#/')) {
+                throw new Error(`Unsupported $ref "${resolved.$ref}" in manifest schema`);
+            }
+            resolved = resolved.$ref.substring(2).split('/').reduce((node, key) => node && node[key], rootSchema);
+        }
+        if (!resolved) {
+            throw new Error(`Unresolved $ref "${schema.$ref}" in manifest schema`);
+        }
+        return resolved;
+    }
+
+    function jsonType(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const types = Array.isArray(type) ? type : [type];
+        return types.some(t => t === 'integer' ? Number.isInteger(value) : jsonType(value) === t);
+    }
+
+    function describeSchema(schema) {
+        if (schema.title) {
+            return schema.title;
+        }
+        if (schema.type) {
+            const type = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+            return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+        }
+        return 'a valid value';
+    }
+
+    function joinAlternatives(items) {
+        return items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0];
+    }
+
+    function validateValue(value, schema, rootSchema, path, errors) {
+        schema = resolveRef(schema, rootSchema);
+        const fail = (message) => errors.push({ path, message });
+
+        const alternatives = schema.oneOf || schema.anyOf;
+        if (alternatives) {
+            const branches = alternatives.map(branch => resolveRef(branch, rootSchema));
+            const results = branches.map(branch => {
+                const branchErrors = [];
+                validateValue(value, branch, rootSchema, path, branchErrors);
+                return branchErrors;
+            });
+            const matches = results.filter(result => result.length === 0).length;
+            if (matches === 1 || (matches > 1 && schema.anyOf)) {
+                return;
+            }
+            if (matches > 1) {
+                fail(`is ambiguous: matches ${joinAlternatives(branches.filter((_, i) => results[i].length === 0).map(describeSchema))}`);
+                return;
+            }
+
+            // Report the errors of the alternative the value was most likely
+            // meant to be: the right type, and for objects the one whose
+            // required properties it has
+            let candidates = branches.map((branch, i) => i).filter(i => !branches[i].type || matchesType(value, branches[i].type));
+            if (jsonType(value) === 'object' && candidates.length > 1) {
+                const keyed = candidates.filter(i => (branches[i].required || []).some(key => key in value && key !== 'title'));
+                candidates = keyed.length > 0 ? keyed : [];
+            }
+            if (candidates.length === 0) {
+                fail(`must be ${joinAlternatives(branches.map(describeSchema))}`);
+                return;
+            }
+            const best = candidates.reduce((a, b) => results[b].length < results[a].length ? b : a);
+            errors.push(...results[best]);
+            return;
+        }
+
+        if (schema.type && !matchesType(value, schema.type)) {
+            fail(`must be ${describeSchema(schema)}, not ${jsonType(value) === 'object' ? 'an object' : JSON.stringify(value)}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.some(option => option === value)) {
+            fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail('must not be empty');
+            } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail(`must be ${schema.description || `a string matching /${schema.pattern}/`}, not ${JSON.stringify(value)}`);
+            }
+        }
+
+        if (jsonType(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    fail(`is missing "${key}"`);
+                }
+            });
+            Object.keys(value).forEach(key => {
+                const childPath = `${path}.${key}`;
+                if (schema.properties && schema.properties[key]) {
+                    validateValue(value[key], schema.properties[key], rootSchema, childPath, errors);
+                } else if (schema.additionalProperties === false) {
+                    const known = Object.keys(schema.properties || {}).filter(name => name !== '$schema');
+                    fail(`has unknown property "${key}" (expected ${joinAlternatives(known.map(name => `"${name}"`))})`);
+                }
+            });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, i) => validateValue(item, schema.items, rootSchema, `${path}[${i}]`, errors));
+        }
+    }
+
+    // Check a manifest against manifest.schema.json. Returns a list of
+    // messages such as '[2].files[1]: is missing "file"'; empty when valid.
+    function validateManifest(manifest, schema) {
+        const errors = [];
+        validateValue(manifest, schema, schema, '', errors);
+        return errors.map(({ path, message }) => `${path.replace(/^\./, '') || 'manifest'}: ${message}`);
+    }
+
+    return {
+        defaultPageTitle,
+        normalizeManifest,
+        listManifestPages,
+        listManifestFiles,
+        listManifestFolders,
+        validateManifest
+    };
+});
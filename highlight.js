@@ -1,21 +1,241 @@
-if (typeof hljs !== 'undefined') {
-    hljs.registerLanguage('luma', function(hljs) {
-        const KEYWORDS = [
-            'const', 'let', 'if', 'elif', 'else', 'loop', 'break', 
-            'continue', 'return', 'defer', 'switch', 'fn', 'struct', 
-            'enum', 'pub', 'priv', 'as'
-        ];
-        
-        const TYPES = [
-            'int', 'uint', 'float', 'double', 'bool', 'byte', 'void'
-        ];
-        
-        const LITERALS = ['true', 'false'];
-        
-        const BUILTINS = [
-            'output', 'outputln', 'input', 'system', 
-            'alloc', 'free', 'sizeof', 'cast'
-        ];
+// highlight.js grammar for Luma, registered as `luma` (alias `lx`). Under
+// Node the grammar function is exported so test/luma-grammar.test.js can run
+// the examples in docs/ through it.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./luma-language'));
+    } else {
+        const { lumaGrammar } = factory(root);
+        if (typeof root.hljs !== 'undefined') {
+            root.hljs.registerLanguage('luma', lumaGrammar);
+
+            // Auto-highlight on page load
+            if (typeof document !== 'undefined') {
+                document.addEventListener('DOMContentLoaded', function() {
+                    root.hljs.highlightAll();
+                });
+            }
+        }
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ lumaNames }) {
+    function lumaGrammar(hljs) {
+        const regex = hljs.regex;
+
+        // Keyword lists come from luma-language.js, which also documents them
+        const KEYWORDS = lumaNames('keywords');
+        const TYPES = lumaNames('types');
+        const LITERALS = lumaNames('literals');
+        const BUILTINS = lumaNames('builtins');
+
+        const IDENT = /[A-Za-z_][A-Za-z0-9_]*/;
+        // An identifier that isn't one of the names above
+        const NAME = regex.concat('\\b(?!', regex.either(...KEYWORDS, ...TYPES, ...LITERALS, ...BUILTINS), '\\b)', IDENT);
+
+        const LINE_COMMENT = hljs.COMMENT('//', '$', {
+            relevance: 0
+        });
+
+        // Block comments nest: /* outer /* inner */ still a comment */
+        const BLOCK_COMMENT = hljs.COMMENT(/\/\*/, /\*\//, {
+            relevance: 0,
+            contains: ['self']
+        });
+
+        const ESCAPE = {
+            scope: 'char.escape',
+            match: /\\(?:x[0-9a-fA-F]{2}|[nrt0\\'"])/,
+            relevance: 0
+        };
+
+        const STRING = {
+            scope: 'string',
+            begin: '"',
+            end: '"',
+            illegal: /\n/,
+            contains: [ESCAPE],
+            relevance: 0
+        };
+
+        // 'A', '\n', '\x1b'
+        const CHARACTER = {
+            scope: 'string',
+            begin: "'",
+            end: "'",
+            illegal: /\n/,
+            contains: [ESCAPE],
+            relevance: 0
+        };
+
+        // Integers, floats, hex
+        const NUMBER = {
+            scope: 'number',
+            variants: [
+                { match: /\b0[xX][0-9a-fA-F]+\b/ },
+                { match: /\b\d+\.\d+(?:[eE][+-]?\d+)?\b/ },
+                { match: /\b\d+\b/ }
+            ],
+            relevance: 0
+        };
+
+        // ---------------------------------------------------------------
+        // Types: int, *byte, [int; 10], Box<T>, fn(int, int) -> int
+        // ---------------------------------------------------------------
+
+        const TYPE_PARTS = [];
+
+        const TYPE_NAME = {
+            scope: 'type',
+            match: IDENT,
+            relevance: 0
+        };
+
+        // Type arguments and parameters written straight after a name:
+        // cast<*int>, sizeof<T>, fn<T>, struct<T, U>, Box<int>
+        const TYPE_ARGUMENTS = {
+            begin: /(?<=\w)<(?=[\w\s*,[\];<>]*>)/,
+            end: />/,
+            contains: TYPE_PARTS,
+            relevance: 0
+        };
+
+        const ARRAY_TYPE = {
+            begin: /\[/,
+            end: /\]/,
+            contains: [NUMBER],
+            relevance: 0
+        };
+
+        const FUNCTION_POINTER_TYPE = {
+            begin: /\bfn\b/,
+            beginScope: 'keyword',
+            end: /(?=[,;=)}\n])/,
+            contains: [
+                { begin: /\(/, end: /\)/, contains: TYPE_PARTS },
+                { scope: 'operator', match: /->/ }
+            ],
+            relevance: 0
+        };
+
+        TYPE_PARTS.push(
+            { scope: 'operator', match: /\*/, relevance: 0 },
+            TYPE_ARGUMENTS,
+            ARRAY_TYPE,
+            TYPE_NAME
+        );
+        ARRAY_TYPE.contains.push(...TYPE_PARTS);
+        FUNCTION_POINTER_TYPE.contains.push(...TYPE_PARTS);
+
+        // name: Type in bindings, parameters and struct fields. `::`, the
+        // `pub:` / `priv:` section labels and a loop's `: (++i)` aren't types.
+        const TYPE_ANNOTATION = {
+            begin: /(?<!:):(?!:)[ \t]*(?=[*[]*[A-Za-z_])/,
+            end: /(?=[,;=)}{\n])/,
+            contains: [FUNCTION_POINTER_TYPE, ...TYPE_PARTS],
+            relevance: 0
+        };
+
+        // The return type after a function's parameter list
+        const RETURN_TYPE = {
+            scope: 'type',
+            match: /(?<=\bfn\b[^{};]*\)[ \t]*\**)[A-Za-z_]\w*/,
+            relevance: 0
+        };
+
+        // ---------------------------------------------------------------
+        // Declarations and expressions
+        // ---------------------------------------------------------------
+
+        // main -> fn, max = fn<T>, and methods inside a struct
+        const FUNCTION_DEFINITION = {
+            match: [NAME, /\s*(?:->|=)\s*/, /fn\b/],
+            scope: { 1: 'title.function', 3: 'keyword' }
+        };
+
+        const TYPE_DEFINITION = {
+            match: [NAME, /\s*->\s*/, /(?:struct|enum)\b/],
+            scope: { 1: 'title.class', 3: 'keyword' },
+            relevance: 5
+        };
+
+        // @module "main", @use "math" as math
+        const DIRECTIVE = {
+            scope: 'meta',
+            match: /@[A-Za-z_]\w*/,
+            relevance: 10
+        };
+
+        const IMPORT_ALIAS = {
+            match: [/\bas\b/, /\s+/, IDENT],
+            scope: { 1: 'keyword', 3: 'title.class' }
+        };
+
+        // #returns_ownership, #takes_ownership
+        const ATTRIBUTE = {
+            scope: 'meta',
+            match: /#[A-Za-z_]\w*/,
+            relevance: 10
+        };
+
+        // Module::function(...), Enum::Variant
+        const STATIC_CALL = {
+            match: [IDENT, /::/, /[A-Za-z_]\w*(?=\s*(?:<[^<>()]*>)?\()/],
+            scope: { 1: 'title.class', 2: 'operator', 3: 'title.function.invoke' },
+            relevance: 5
+        };
+
+        const STATIC_ACCESS = {
+            match: [IDENT, /::/, IDENT],
+            scope: { 1: 'title.class', 2: 'operator', 3: 'variable.constant' },
+            relevance: 5
+        };
+
+        // Calls, including explicit type arguments: add<int>(1, 2)
+        const CALL = {
+            scope: 'title.function.invoke',
+            match: regex.concat(NAME, /(?=(?:<[^<>()]*>)?\()/),
+            relevance: 0
+        };
+
+        const OPERATOR = {
+            scope: 'operator',
+            match: /->|=>|::|\+\+|--|&&|\|\||<<|>>|[=!<>]=|[-+*/%=<>!&|^~]/,
+            relevance: 0
+        };
+
+        const EXPRESSION = [];
+
+        // Point { x: 0, y: 0 } - the fields are names, not type annotations.
+        // Not a return type followed by a function body: fn () Point {
+        const STRUCT_LITERAL = {
+            begin: [/(?<![)*][ \t]*)\b[A-Z]\w*/, /\s*\{/],
+            beginScope: { 1: 'title.class' },
+            end: /\}/,
+            keywords: {
+                keyword: KEYWORDS,
+                type: TYPES,
+                literal: LITERALS,
+                built_in: BUILTINS
+            },
+            contains: [
+                { match: [IDENT, /\s*:(?!:)/], scope: { 1: 'property' } }
+            ],
+            relevance: 0
+        };
+
+        EXPRESSION.push(
+            LINE_COMMENT,
+            BLOCK_COMMENT,
+            STRING,
+            CHARACTER,
+            NUMBER,
+            STRUCT_LITERAL,
+            STATIC_CALL,
+            STATIC_ACCESS,
+            CALL,
+            TYPE_ARGUMENTS,
+            OPERATOR
+        );
+        STRUCT_LITERAL.contains.push(...EXPRESSION);
 
         return {
             name: 'Luma',
@@ -26,238 +246,31 @@ if (typeof hljs !== 'undefined') {
                 literal: LITERALS,
                 built_in: BUILTINS
             },
+            // Outside strings and comments these never appear in Luma code;
+            // a block containing them is not highlighted as Luma
+            illegal: /[`$\\?]|@(?![A-Za-z_])|#(?![A-Za-z_])/,
             contains: [
-                // Line comments
-                hljs.COMMENT('//', '$', {
-                    relevance: 0
-                }),
-                
-                // Block comments
-                hljs.COMMENT('/\\*', '\\*/', {
-                    relevance: 0
-                }),
-                
-                // Module directives (@module, @use)
-                {
-                    className: 'meta',
-                    begin: /@module\s+/,
-                    end: /$/,
-                    contains: [
-                        {
-                            className: 'string',
-                            begin: '"',
-                            end: '"'
-                        }
-                    ],
-                    relevance: 10
-                },
-                {
-                    className: 'meta',
-                    begin: /@use\s+/,
-                    end: /$/,
-                    contains: [
-                        {
-                            className: 'string',
-                            begin: '"',
-                            end: '"'
-                        },
-                        {
-                            className: 'keyword',
-                            begin: /\bas\b/
-                        },
-                        {
-                            className: 'title',
-                            begin: /\bas\s+(\w+)/,
-                            returnBegin: false
-                        }
-                    ],
-                    relevance: 10
-                },
-                
-                // Ownership attributes (#returns_ownership, #takes_ownership)
-                {
-                    className: 'meta',
-                    begin: /#(returns_ownership|takes_ownership)\b/,
-                    relevance: 10
-                },
-                
-                // String literals
-                {
-                    className: 'string',
-                    begin: '"',
-                    end: '"',
-                    contains: [
-                        {
-                            begin: /\\[nrt\\'"\x]/
-                        }
-                    ],
-                    relevance: 0
-                },
-                
-                // Character literals
-                {
-                    className: 'string',
-                    begin: "'",
-                    end: "'",
-                    contains: [
-                        {
-                            begin: /\\[nrt\\'"\x]/
-                        }
-                    ],
-                    relevance: 0
-                },
-                
-                // Numbers (integers, floats, hex)
-                {
-                    className: 'number',
-                    variants: [
-                        { begin: '\\b0[xX][0-9a-fA-F]+\\b' },
-                        { begin: '\\b\\d+\\.\\d+([eE][+-]?\\d+)?\\b' },
-                        { begin: '\\b\\d+\\b' }
-                    ],
-                    relevance: 0
-                },
-                
-                // Generic type parameters in angle brackets
-                {
-                    className: 'type',
-                    begin: /<[A-Z][a-zA-Z0-9_]*>/,
-                    relevance: 5
-                },
-                
-                // Type declarations (after ->)
-                {
-                    begin: /->(?=\s*(fn|struct|enum))/,
-                    className: 'operator',
-                    relevance: 0
-                },
-                
-                // Function definitions
-                {
-                    className: 'function',
-                    beginKeywords: 'fn',
-                    end: /[{;]/,
-                    excludeEnd: true,
-                    contains: [
-                        {
-                            className: 'title',
-                            begin: /[a-zA-Z_][a-zA-Z0-9_]*/,
-                            relevance: 0
-                        },
-                        {
-                            // Generic parameters
-                            begin: /<[^>]+>/,
-                            className: 'type',
-                            relevance: 5
-                        },
-                        {
-                            className: 'params',
-                            begin: /\(/,
-                            end: /\)/,
-                            keywords: {
-                                keyword: KEYWORDS,
-                                type: TYPES
-                            },
-                            contains: [
-                                hljs.COMMENT('//', '$'),
-                                hljs.COMMENT('/\\*', '\\*/'),
-                                {
-                                    className: 'type',
-                                    begin: /:\s*/,
-                                    end: /[,)]/,
-                                    excludeEnd: true,
-                                    keywords: {
-                                        type: TYPES
-                                    }
-                                }
-                            ]
-                        },
-                        {
-                            // Return type
-                            begin: /\)\s*/,
-                            end: /[{;]/,
-                            excludeEnd: true,
-                            keywords: {
-                                type: TYPES
-                            }
-                        }
-                    ]
-                },
-                
-                // Struct/enum definitions
-                {
-                    className: 'class',
-                    beginKeywords: 'struct enum',
-                    end: /[{;]/,
-                    excludeEnd: true,
-                    contains: [
-                        {
-                            className: 'title',
-                            begin: /[a-zA-Z_][a-zA-Z0-9_]*/,
-                            relevance: 5
-                        },
-                        {
-                            // Generic parameters
-                            begin: /<[^>]+>/,
-                            className: 'type'
-                        }
-                    ]
-                },
-                
-                // Type annotations (: Type)
-                {
-                    begin: /:\s*/,
-                    end: /[;,=)\]]/,
-                    excludeEnd: true,
-                    returnBegin: true,
-                    keywords: {
-                        type: TYPES
-                    },
-                    contains: [
-                        {
-                            className: 'type',
-                            begin: /:\s*/,
-                            end: /[;,=)\]]/,
-                            excludeEnd: true
-                        }
-                    ]
-                },
-                
-                // Static access (Module::function, Enum::Variant)
-                {
-                    className: 'built_in',
-                    begin: /[a-zA-Z_][a-zA-Z0-9_]*::[a-zA-Z_][a-zA-Z0-9_]*/,
-                    relevance: 5
-                },
-                
-                // Cast and sizeof with generic syntax
-                {
-                    className: 'built_in',
-                    begin: /\b(cast|sizeof)<[^>]+>/,
-                    relevance: 5
-                },
-                
-                // Operators
-                {
-                    className: 'operator',
-                    begin: /->|::|[+\-*\/%=<>!&|^]+/,
-                    relevance: 0
-                },
-                
-                // Pointer and reference operators
-                {
-                    className: 'operator',
-                    begin: /[*&]/,
-                    relevance: 0
-                }
+                LINE_COMMENT,
+                BLOCK_COMMENT,
+                DIRECTIVE,
+                IMPORT_ALIAS,
+                ATTRIBUTE,
+                STRING,
+                CHARACTER,
+                NUMBER,
+                TYPE_DEFINITION,
+                FUNCTION_DEFINITION,
+                TYPE_ANNOTATION,
+                RETURN_TYPE,
+                STRUCT_LITERAL,
+                STATIC_CALL,
+                STATIC_ACCESS,
+                CALL,
+                TYPE_ARGUMENTS,
+                OPERATOR
             ]
         };
-    });
-    
-    // Auto-highlight on page load
-    if (typeof document !== 'undefined') {
-        document.addEventListener('DOMContentLoaded', function() {
-            hljs.highlightAll();
-        });
     }
-}
+
+    return { lumaGrammar };
+});
@@ -0,0 +1,85 @@
+// Luma's keywords, types, literals and built-in functions. The highlight.js
+// grammar takes its keyword lists from here, and the docs use the summaries
+// for the tooltips on those tokens in code blocks.
+//
+// Each entry is { name, summary, doc } plus a `signature` for built-ins;
+// `doc` is the page and heading that documents it, as a docs route.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const LUMA_LANGUAGE = {
+        keywords: [
+            { name: 'const', summary: 'Declares a top-level binding: a function, type or constant.', doc: 'language-features/Variables.md#top-level-bindings-with-const' },
+            { name: 'let', summary: 'Declares a local variable.', doc: 'language-features/Variables.md#local-variables-with-let' },
+            { name: 'if', summary: 'Runs a block when a condition is true.', doc: 'language-features/Control-Flow.md#conditional-statements' },
+            { name: 'elif', summary: 'Checks another condition when the previous ones were false.', doc: 'language-features/Control-Flow.md#if-elif-else' },
+            { name: 'else', summary: 'Runs a block when no condition matched.', doc: 'language-features/Control-Flow.md#if-else' },
+            { name: 'loop', summary: 'Repeats a block: for-style, while-style or forever.', doc: 'language-features/Control-Flow.md#loop-constructs' },
+            { name: 'break', summary: 'Leaves the innermost loop.', doc: 'language-features/Control-Flow.md#break' },
+            { name: 'continue', summary: 'Skips to the next iteration of the innermost loop.', doc: 'language-features/Control-Flow.md#continue' },
+            { name: 'return', summary: 'Returns from the current function.', doc: 'language-features/Functions.md#return-values' },
+            { name: 'defer', summary: 'Runs a statement when the enclosing scope exits, in reverse order.', doc: 'advanced-topics/Memory-Management.md#the-defer-statement' },
+            { name: 'switch', summary: 'Matches a value against cases, without fallthrough.', doc: 'language-features/Switch.md#basic-syntax' },
+            { name: '_', summary: 'The default arm of a switch: matches any other value.', doc: 'language-features/Switch.md#default-case' },
+            { name: 'fn', summary: 'Defines a function type or function.', doc: 'language-features/Functions.md#function-declaration' },
+            { name: 'struct', summary: 'Defines a structure with fields and methods.', doc: 'type-system/Structs.md#basic-structures' },
+            { name: 'enum', summary: 'Defines an enumeration of named variants.', doc: 'type-system/Enums.md#basic-enums' },
+            { name: 'pub', summary: 'Makes a declaration or struct section visible outside its module.', doc: 'language-features/Modules.md#public-vs-private' },
+            { name: 'priv', summary: 'Starts a struct section only visible to its methods.', doc: 'type-system/Structs.md#access-control' },
+            { name: 'as', summary: 'Names the namespace of a module imported with @use.', doc: 'language-features/Modules.md#importing-modules' }
+        ],
+        types: [
+            { name: 'int', summary: 'Signed 64-bit integer.', doc: 'type-system/Primitives.md#numeric-types' },
+            { name: 'uint', summary: 'Unsigned 64-bit integer.', doc: 'type-system/Primitives.md#numeric-types' },
+            { name: 'float', summary: '32-bit floating point number.', doc: 'type-system/Primitives.md#numeric-types' },
+            { name: 'double', summary: '64-bit floating point number.', doc: 'type-system/Primitives.md#numeric-types' },
+            { name: 'bool', summary: 'Boolean: true or false.', doc: 'type-system/Primitives.md#boolean-type' },
+            { name: 'byte', summary: 'A single 8-bit character; *byte is a string.', doc: 'type-system/Primitives.md#character-type' },
+            { name: 'void', summary: 'No value; *void is a generic pointer.', doc: 'type-system/Primitives.md#void-type' }
+        ],
+        literals: [
+            { name: 'true', summary: 'The boolean true value.', doc: 'type-system/Primitives.md#boolean-type' },
+            { name: 'false', summary: 'The boolean false value.', doc: 'type-system/Primitives.md#boolean-type' }
+        ],
+        builtins: [
+            { name: 'output', signature: 'output(...)', summary: 'Prints its arguments without a newline.', doc: 'reference/Builtins.md#output' },
+            { name: 'outputln', signature: 'outputln(...)', summary: 'Prints its arguments followed by a newline.', doc: 'reference/Builtins.md#outputln' },
+            { name: 'input', signature: 'input<T>(prompt: *byte) -> T', summary: 'Shows a prompt and reads a value of type T.', doc: 'reference/Builtins.md#inputtprompt-byte-t' },
+            { name: 'system', signature: 'system(command: *byte) -> int', summary: 'Runs a shell command and returns its exit code.', doc: 'reference/Builtins.md#systemcommand-byte-int' },
+            { name: 'alloc', signature: 'alloc(size: int) -> *void', summary: 'Allocates size bytes on the heap; null on failure.', doc: 'reference/Builtins.md#allocsize-int-void' },
+            { name: 'free', signature: 'free(ptr: *void)', summary: 'Releases memory returned by alloc.', doc: 'reference/Builtins.md#freeptr-void' },
+            { name: 'sizeof', signature: 'sizeof<T> -> int', summary: 'The size of type T in bytes, known at compile time.', doc: 'reference/Builtins.md#sizeoft-int' },
+            { name: 'cast', signature: 'cast<T>(value)', summary: 'Explicitly converts a value to type T.', doc: 'reference/Builtins.md#casttvalue' }
+        ]
+    };
+
+    const KIND_LABELS = {
+        keywords: 'Keyword',
+        types: 'Type',
+        literals: 'Literal',
+        builtins: 'Built-in function'
+    };
+
+    // The names of one group, in the form hljs keyword lists take
+    function lumaNames(kind) {
+        return LUMA_LANGUAGE[kind].map(entry => entry.name);
+    }
+
+    // Look up a symbol by name: { name, summary, doc, signature?, kind }
+    // where kind is a label such as "Keyword", or null when it isn't one
+    function findLumaSymbol(name) {
+        for (const kind of Object.keys(LUMA_LANGUAGE)) {
+            const entry = LUMA_LANGUAGE[kind].find(candidate => candidate.name === name);
+            if (entry) {
+                return { ...entry, kind: KIND_LABELS[kind] };
+            }
+        }
+        return null;
+    }
+
+    return { LUMA_LANGUAGE, lumaNames, findLumaSymbol };
+});
@@ -0,0 +1,596 @@
+// Markdown rendering rules shared by the browser and the Node build tools.
+// In the browser these helpers become globals; under Node they are exported.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Turn heading text into a URL-safe anchor id
+    function slugify(text) {
+        return text
+            .toLowerCase()
+            .trim()
+            .replace(/[^\w\s-]/g, '')
+            .replace(/\s+/g, '-')
+            .replace(/-+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    // Returns a slug function that de-duplicates ids within one document
+    // ("methods", "methods-1", "methods-2", ...)
+    function createSlugger() {
+        const used = new Set();
+        return (text) => {
+            const base = slugify(text) || 'section';
+            let slug = base;
+            let suffix = 1;
+            while (used.has(slug)) {
+                slug = `${base}-${suffix++}`;
+            }
+            used.add(slug);
+            return slug;
+        };
+    }
+
+    function stripTags(html) {
+        return html
+            .replace(/<[^>]*>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    // Id of the nth code block (1-based) in a document
+    function codeBlockId(index) {
+        return `code-${index}`;
+    }
+
+    function parseYamlScalar(raw) {
+        const value = raw.trim();
+        if (/^'.*'$/.test(value)) {
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+        if (/^".*"$/.test(value)) {
+            return value.slice(1, -1).replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+        }
+
+        const unquoted = value.replace(/\s+#.*$/, '');
+        if (unquoted === 'true' || unquoted === 'false') {
+            return unquoted === 'true';
+        }
+        if (unquoted === '' || unquoted === 'null' || unquoted === '~') {
+            return null;
+        }
+        if (/^-?\d+(\.\d+)?$/.test(unquoted)) {
+            return Number(unquoted);
+        }
+        return unquoted;
+    }
+
+    // Split a leading YAML front-matter block off a page:
+    //
+    //   ---
+    //   title: Generics
+    //   tags: [types, templates]
+    //   status: unsupported
+    //   ---
+    //
+    // Only the subset pages need is understood: `key: value` scalars (bare or
+    // quoted), inline `[a, b]` lists and indented `- item` lists. Returns the
+    // parsed `data` ({} without front matter or with an empty block) and the
+    // markdown `body` after it.
+    function parseFrontMatter(markdown) {
+        const match = markdown.match(/^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+        if (!match) {
+            return { data: {}, body: markdown };
+        }
+
+        const data = {};
+        let listKey = null;
+        (match[1] || '').split(/\r?\n/).forEach(line => {
+            if (!line.trim() || line.trim().startsWith('#')) {
+                return;
+            }
+
+            const item = line.match(/^\s*-\s+(.*)$/);
+            if (item && listKey) {
+                data[listKey].push(parseYamlScalar(item[1]));
+                return;
+            }
+
+            const pair = line.match(/^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/);
+            if (!pair) {
+                return;
+            }
+            const [, key, raw = ''] = pair;
+            listKey = null;
+            if (raw.trim() === '') {
+                data[key] = [];
+                listKey = key;
+            } else if (/^\[.*\]$/.test(raw.trim())) {
+                const inner = raw.trim().slice(1, -1);
+                data[key] = inner.trim() ? inner.split(',').map(parseYamlScalar) : [];
+            } else {
+                data[key] = parseYamlScalar(raw);
+            }
+        });
+
+        return { data, body: markdown.slice(match[0].length) };
+    }
+
+    function escapeText(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // GitHub-style callouts. The bootstrap icon and default title per kind.
+    const ADMONITIONS = {
+        note: { icon: 'bi-info-circle', title: 'Note' },
+        tip: { icon: 'bi-lightbulb', title: 'Tip' },
+        important: { icon: 'bi-exclamation-square', title: 'Important' },
+        warning: { icon: 'bi-exclamation-triangle', title: 'Warning' },
+        caution: { icon: 'bi-exclamation-octagon', title: 'Caution' }
+    };
+
+    const ADMONITION_PATTERN = /^ {0,3}> ?\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][^\n]*(?:\n {0,3}>[^\n]*)*(?:\n|$)/i;
+    const CODE_GROUP_PATTERN = /^ {0,3}:::[ \t]*code-group[ \t]*\n([\s\S]*?)\n {0,3}:::[ \t]*(?:\n|$)/;
+
+    // Parse a fence info string such as
+    //
+    //   luma title="main.lx" {3-5,8} showLineNumbers [Tab label]
+    //   diff-luma
+    //   luma no-run
+    //
+    // into { lang, title, highlight, lineNumbers, diff, label, test }.
+    // `highlight` is a list of [first, last] line ranges; a "diff-" prefix
+    // marks lines starting with + or - as added or removed. `test` is the
+    // doc-test annotation, if any: "no-run", "should-fail" or "ignore".
+    function parseFenceInfo(info) {
+        const text = (info || '').trim();
+        const first = text.match(/^[^\s{[=]+(?=\s|$)/);
+        let lang = first ? first[0] : '';
+        const diff = lang.startsWith('diff-');
+        if (diff) {
+            lang = lang.substring('diff-'.length);
+        }
+
+        const title = text.match(/\btitle=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+        const lines = text.match(/\{([\d\s,-]+)\}/);
+        const label = text.replace(/\btitle=(?:"[^"]*"|'[^']*'|\S+)/, '').match(/\[([^\]]+)\]/);
+        const test = text.match(/(?:^|\s)(no-run|should-fail|ignore)(?=\s|$)/);
+
+        return {
+            lang,
+            title: title ? (title[1] || title[2] || title[3]) : null,
+            highlight: lines ? parseLineRanges(lines[1]) : [],
+            lineNumbers: /(^|\s)showLineNumbers(\s|$)/.test(text),
+            diff,
+            label: label ? label[1].trim() : null,
+            test: test ? test[1] : null
+        };
+    }
+
+    // What the doc tests (tools/doc-tests.js) do with a Luma fence:
+    //
+    //   "run"          a complete program (it has a main function): compiled,
+    //                  run, and its output compared with any // Output: lines
+    //   "no-run"       compiled only
+    //   "should-fail"  must not compile (or must fail when run)
+    //   "illustrative" a fragment, or marked `ignore`: not checked
+    //
+    // Returns null for other languages.
+    function docTestMode(fence, code) {
+        if (fence.lang !== 'luma' && fence.lang !== 'lx') {
+            return null;
+        }
+        if (fence.test === 'ignore') {
+            return 'illustrative';
+        }
+        if (fence.test) {
+            return fence.test;
+        }
+        return /\bmain\s*->\s*fn\b/.test(code) ? 'run' : 'illustrative';
+    }
+
+    // The output a doc test expects, from `// Output:` comments:
+    //
+    //   // Output: 42          one line
+    //
+    //   // Output:             several lines, one comment each
+    //   // Hello
+    //   // World
+    //
+    //   greet();  // Output: Hello      after a statement: the line that
+    //                                   statement prints
+    //
+    // Lines are expected in the order the comments appear. Returns null when
+    // the code has none.
+    function expectedOutput(code) {
+        const lines = code.replace(/\n$/, '').split('\n');
+        const expected = [];
+        let found = false;
+        for (let i = 0; i < lines.length; i++) {
+            const match = lines[i].match(/^(.*?)\/\/\s*Output:[ \t]?(.*)$/);
+            // A comment marker inside a string literal isn't a comment
+            if (!match || (match[1].match(/"/g) || []).length % 2 === 1) {
+                continue;
+            }
+            found = true;
+            if (match[2].trim() || match[1].trim()) {
+                expected.push(match[2].trimEnd());
+                continue;
+            }
+            while (i + 1 < lines.length && /^\s*\/\/(?!\s*Output:)/.test(lines[i + 1])) {
+                expected.push(lines[++i].replace(/^\s*\/\/ ?/, '').trimEnd());
+            }
+        }
+        return found ? expected.join('\n') : null;
+    }
+
+    // "3-5, 8" -> [[3, 5], [8, 8]]
+    function parseLineRanges(text) {
+        return text.split(',')
+            .map(part => part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/))
+            .filter(Boolean)
+            .map(([, start, end]) => [Number(start), Number(end || start)]);
+    }
+
+    function isLineInRanges(line, ranges) {
+        return ranges.some(([start, end]) => line >= start && line <= end);
+    }
+
+    // Split the +/- markers off a diff fence: returns the code without them
+    // and one marker per line ("+", "-" or " ")
+    function splitDiffMarkers(code) {
+        const markers = [];
+        const lines = code.replace(/\n$/, '').split('\n').map(line => {
+            const marker = line.charAt(0);
+            if (marker === '+' || marker === '-') {
+                markers.push(marker);
+                return line.substring(1);
+            }
+            markers.push(' ');
+            return marker === ' ' ? line.substring(1) : line;
+        });
+        return { code: lines.join('\n'), markers: markers.join('') };
+    }
+
+    const SHELL_LANGUAGES = ['sh', 'bash', 'shell', 'console', 'zsh', 'powershell'];
+    const PROMPT_PATTERN = /^\s*(?:\$|>|PS>)\s/;
+
+    // What Copy should put on the clipboard: removed diff lines are dropped,
+    // and in shell sessions only the commands are kept, without their
+    // prompts (lines continued with a trailing backslash stay with them)
+    function copyableCode(code, lang = '', diffMarkers = '') {
+        let lines = code.replace(/\n$/, '').split('\n');
+        if (diffMarkers) {
+            lines = lines.filter((_, i) => diffMarkers.charAt(i) !== '-');
+        }
+
+        if (SHELL_LANGUAGES.includes(lang) && lines.some(line => PROMPT_PATTERN.test(line))) {
+            const commands = [];
+            let continued = false;
+            lines.forEach(line => {
+                if (PROMPT_PATTERN.test(line)) {
+                    commands.push(line.replace(PROMPT_PATTERN, ''));
+                    continued = /\\$/.test(line);
+                } else if (continued) {
+                    commands.push(line);
+                    continued = /\\$/.test(line);
+                }
+            });
+            lines = commands;
+        }
+        return lines.join('\n');
+    }
+
+    // Tab label of a fence inside a code group: ```luma [Luma] -> "Luma".
+    // Without a label the fence's title or language is used.
+    function codeTabLabel(token, index) {
+        const fence = parseFenceInfo(token.lang);
+        if (fence.label || fence.title) {
+            return fence.label || fence.title;
+        }
+        return fence.lang ? fence.lang.charAt(0).toUpperCase() + fence.lang.slice(1) : `Tab ${index + 1}`;
+    }
+
+    // Fence metadata is passed to the page as data attributes on <code>; the
+    // browser uses them to add the title bar, line numbers and line styling
+    // once the block has been highlighted
+    function renderCode(code, infostring) {
+        const fence = parseFenceInfo(infostring);
+        const attributes = [];
+        let source = code.replace(/\n$/, '');
+
+        if (fence.lang) {
+            attributes.push(`class="language-${escapeText(fence.lang)}"`);
+        }
+        if (fence.title) {
+            attributes.push(`data-title="${escapeText(fence.title)}"`);
+        }
+        if (fence.highlight.length > 0) {
+            attributes.push(`data-highlight="${fence.highlight.map(([start, end]) => start === end ? start : `${start}-${end}`).join(',')}"`);
+        }
+        if (fence.lineNumbers) {
+            attributes.push('data-line-numbers');
+        }
+        if (fence.diff) {
+            const diff = splitDiffMarkers(source);
+            source = diff.code;
+            attributes.push(`data-diff="${diff.markers}"`);
+        }
+        const docTest = docTestMode(fence, source);
+        if (docTest) {
+            attributes.push(`data-doctest="${docTest}"`);
+        }
+
+        const open = attributes.length > 0 ? `<code ${attributes.join(' ')}>` : '<code>';
+        return `<pre>${open}${escapeText(source).replace(/'/g, '&#39;')}\n</code></pre>\n`;
+    }
+
+    // Apply the site's marked options. Every heading gets a stable id and
+    // every code block is numbered; both are reset for each parse so the same
+    // markdown always produces the same ids, on the rendered page and in the
+    // search index.
+    //
+    // Two block extensions are added:
+    //
+    //   > [!NOTE]            callouts: NOTE, TIP, IMPORTANT, WARNING or
+    //   > Text...            CAUTION, with an optional title after the marker
+    //
+    //   ::: code-group       tabbed code blocks; each fence is one tab,
+    //   ```luma [Luma]       labelled by the text in brackets
+    //   ```c [C equivalent]
+    //   :::
+    //
+    // Code fences accept the metadata described at parseFenceInfo.
+    function configureMarked(marked) {
+        let headingSlugger = createSlugger();
+        let codeGroups = 0;
+
+        const admonition = {
+            name: 'admonition',
+            level: 'block',
+            start(src) {
+                const match = src.match(/^ {0,3}> ?\[!/m);
+                return match ? match.index : undefined;
+            },
+            tokenizer(src) {
+                const match = ADMONITION_PATTERN.exec(src);
+                if (!match) {
+                    return undefined;
+                }
+                const lines = match[0].replace(/\n$/, '').split('\n').map(line => line.replace(/^ {0,3}> ?/, ''));
+                const [, kind, title] = lines[0].match(/^\[!(\w+)\][ \t]*(.*)$/);
+                return {
+                    type: 'admonition',
+                    raw: match[0],
+                    kind: kind.toLowerCase(),
+                    title: title.trim(),
+                    tokens: this.lexer.blockTokens(lines.slice(1).join('\n'), [])
+                };
+            },
+            renderer(token) {
+                const { icon, title } = ADMONITIONS[token.kind];
+                return `<div class="admonition admonition-${token.kind}" role="note">\n` +
+                    `<p class="admonition-title"><span class="bi ${icon}" aria-hidden="true"></span>${escapeText(token.title || title)}</p>\n` +
+                    `${this.parser.parse(token.tokens)}</div>\n`;
+            }
+        };
+
+        const codeGroup = {
+            name: 'codeGroup',
+            level: 'block',
+            start(src) {
+                const match = src.match(/^ {0,3}:::[ \t]*code-group/m);
+                return match ? match.index : undefined;
+            },
+            tokenizer(src) {
+                const match = CODE_GROUP_PATTERN.exec(src);
+                if (!match) {
+                    return undefined;
+                }
+                return {
+                    type: 'codeGroup',
+                    raw: match[0],
+                    tokens: this.lexer.blockTokens(match[1], []).filter(token => token.type === 'code')
+                };
+            },
+            renderer(token) {
+                const group = `code-group-${++codeGroups}`;
+                const tabs = token.tokens.map((code, i) => {
+                    const label = codeTabLabel(code, i);
+                    return { code, label, key: slugify(label) || `tab-${i + 1}`, id: `${group}-${i}` };
+                });
+
+                const buttons = tabs.map((tab, i) =>
+                    `<button type="button" class="code-group-tab" role="tab" id="${tab.id}-tab" aria-controls="${tab.id}" ` +
+                    `aria-selected="${i === 0}" tabindex="${i === 0 ? 0 : -1}" data-tab="${tab.key}">${escapeText(tab.label)}</button>`
+                ).join('');
+                const panels = tabs.map((tab, i) =>
+                    `<div class="code-group-panel" role="tabpanel" id="${tab.id}" aria-labelledby="${tab.id}-tab" data-tab="${tab.key}"${i === 0 ? '' : ' hidden'}>` +
+                    `${this.parser.parse([tab.code])}</div>`
+                ).join('\n');
+
+                return `<div class="code-group">\n<div class="code-group-tabs" role="tablist">${buttons}</div>\n${panels}\n</div>\n`;
+            }
+        };
+
+        marked.use({
+            breaks: true,
+            gfm: true,
+            extensions: [admonition, codeGroup],
+            hooks: {
+                preprocess(markdown) {
+                    headingSlugger = createSlugger();
+                    codeGroups = 0;
+                    return markdown;
+                },
+                postprocess(html) {
+                    let codeBlocks = 0;
+                    return html.replace(/<pre>/g, () => `<pre id="${codeBlockId(++codeBlocks)}">`);
+                }
+            },
+            renderer: {
+                code: renderCode,
+                heading(text, level) {
+                    const id = headingSlugger(stripTags(text));
+                    return `<h${level} id="${id}">${text}</h${level}>\n`;
+                }
+            }
+        });
+
+        return marked;
+    }
+
+    // Resolve "." and ".." in a docs path ("type-system/./Structs.md"); ".."
+    // above docs/ is kept, as the browser keeps it when fetching the page
+    function normalizeDocPath(file) {
+        const parts = [];
+        file.split('/').forEach(part => {
+            if (part === '..' && parts.length > 0 && parts[parts.length - 1] !== '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+
+    // Decode a percent-encoded part of a link or location hash, keeping it as
+    // written when it isn't valid encoding ("#50%-off")
+    function decodeLinkPart(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    // What a link in `page` points at, resolved the way the site resolves it:
+    //
+    //   type-system/Structs.md#methods    { page, anchor }; relative to docs/,
+    //                                     as the click handler hands it to
+    //                                     navigateTo
+    //   #type-system/Structs.md#methods   the same, written as a route
+    //   #methods                          { page: `page`, anchor }
+    //   icons/icon.svg                    { file }, relative to the site
+    //
+    // Links to other sites and to the Standard Library (#stdlib/...) give
+    // null. Paths and anchors come back decoded.
+    function resolveDocLink(href, page) {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//') || href.startsWith('#stdlib')) {
+            return null;
+        }
+        const route = href.match(/^#(.+?\.md)(?:#(.*))?$/);
+        if (route) {
+            return { page: normalizeDocPath(decodeLinkPart(route[1])), anchor: route[2] ? decodeLinkPart(route[2]) : null };
+        }
+        if (href.startsWith('#')) {
+            return { page: page, anchor: decodeLinkPart(href.substring(1)) };
+        }
+        const [target, anchor] = href.split('#');
+        if (/\.md$/.test(target)) {
+            return { page: normalizeDocPath(decodeLinkPart(target)), anchor: anchor ? decodeLinkPart(anchor) : null };
+        }
+        return { file: normalizeDocPath(decodeLinkPart(target.split('?')[0])) };
+    }
+
+    // Heading texts of a document in order, as the heading renderer slugs them
+    function headingTexts(marked, markdown) {
+        const texts = [];
+        const visit = (tokens) => (tokens || []).forEach(token => {
+            if (token.type === 'heading') {
+                texts.push(stripTags(marked.Parser.parseInline(token.tokens)));
+            }
+            visit(token.tokens);
+            (token.items || []).forEach(item => visit(item.tokens));
+        });
+        visit(marked.lexer(markdown));
+        return texts;
+    }
+
+    // Apply `transform` to every line outside fenced code blocks
+    function mapProseLines(markdown, transform) {
+        let fence = null;
+        return markdown.split('\n').map(line => {
+            const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+            if (fence) {
+                if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length && !line.trim().substring(marker[1].length).trim()) {
+                    fence = null;
+                }
+                return line;
+            }
+            if (marker) {
+                fence = marker[1];
+            }
+            return marker ? line : transform(line);
+        }).join('\n');
+    }
+
+    // Join pages ({ file, body } without front matter) into one document:
+    // every heading moves down a level so pages become sections, and links
+    // between the pages become links to the heading they point at once all
+    // the pages share one set of ids. Links to pages that aren't included
+    // stay links to those pages.
+    function combinePages(marked, pages) {
+        const slug = createSlugger();
+        const anchors = {};
+        pages.forEach(page => {
+            const pageSlug = createSlugger();
+            const ids = {};
+            headingTexts(marked, page.body).forEach((text, i) => {
+                const id = slug(text);
+                ids[pageSlug(text)] = id;
+                if (i === 0) {
+                    ids[''] = id;
+                }
+            });
+            anchors[page.file] = ids;
+        });
+
+        const rewriteLink = (href, file) => {
+            const target = resolveDocLink(href, file);
+            if (!target || target.file) {
+                return href;
+            }
+            const ids = anchors[target.page];
+            if (!ids) {
+                return target.anchor ? `#${target.page}#${encodeURIComponent(target.anchor)}` : `#${target.page}`;
+            }
+            const anchor = target.anchor || '';
+            return `#${ids[anchor] || encodeURIComponent(anchor)}`;
+        };
+
+        const sections = pages.map(page => mapProseLines(page.body.trim(), line => line
+            .replace(/^( {0,3})(#{1,5})(?=\s|$)/, '$1$2#')
+            .replace(/\]\(([^)\s]+)((?:\s+"[^"]*")?)\)/g, (match, href, title) => `](${rewriteLink(href, page.file)}${title})`)));
+
+        return sections.join('\n\n');
+    }
+
+    return {
+        slugify,
+        createSlugger,
+        stripTags,
+        codeBlockId,
+        parseFrontMatter,
+        parseFenceInfo,
+        isLineInRanges,
+        splitDiffMarkers,
+        copyableCode,
+        docTestMode,
+        expectedOutput,
+        configureMarked,
+        decodeLinkPart,
+        resolveDocLink,
+        combinePages
+    };
+});
@@ -14,27 +14,82 @@ marked.setOptions({
         // Auto-detect, but prefer Rust-like highlighting for unknown syntax
         const result = hljs.highlightAuto(code, ['rust', 'c', 'cpp']);
         return result.value;
-    },
-    breaks: true,
-    gfm: true
+    }
 });
 
+configureMarked(marked);
+
 // State management for current view
 let currentView = 'docs';
 let stdLibFiles = [];
 let currentStdLibFile = null;
+let currentDocFile = null;
+let docsManifest = [];
+// Which view the sidebar was built for ('docs', 'stdlib' or null)
+let sidebarView = null;
+
+// Front matter of pages seen so far, from the search index or from loading
+// them: { file: { title, description, tags, status } }
+let pageMetadata = {};
+
+// Split a location hash such as "#type-system/Structs.md#methods" or
+// "#stdlib/math#sqrt" into the page path and the optional section id
+function parseHash(hash) {
+    const value = hash.startsWith('#') ? hash.substring(1) : hash;
+    const match = value.match(/^(.+?\.md|stdlib(?:\/[^#]*)?)(?:#(.*))?$/);
+    if (!match) {
+        return { file: value, section: null };
+    }
+    return { file: match[1], section: match[2] ? decodeLinkPart(match[2]) : null };
+}
+
+function isStdLibRoute(file) {
+    return file === 'stdlib' || file.startsWith('stdlib/');
+}
+
+// The whole documentation on one page, generated from docs/ by
+// tools/build-docs-md.js; it lives next to index.html rather than in docs/
+const SINGLE_PAGE_ROUTE = 'docs.md';
+
+function documentUrl(file) {
+    return file === SINGLE_PAGE_ROUTE ? file : `docs/${file}`;
+}
+
+// Open whatever a location hash (without the leading "#") points at:
+// a docs page, a standard library page, or a section of either
+function routeTo(target, pushState = true) {
+    const { file, section } = parseHash(target);
+
+    if (isStdLibRoute(file)) {
+        return showStdLib(file.substring('stdlib/'.length) || null, section, pushState);
+    }
+    if (currentView !== 'docs') {
+        return showDocs(target, pushState);
+    }
+    return navigateTo(target, pushState);
+}
 
 // Auto-load docs.md on page load
 window.addEventListener('DOMContentLoaded', () => {
     window.addEventListener('hashchange', () => {
-        const file = window.location.hash.substring(1);
-        if (file && currentView === 'docs') {
-            navigateTo(file, false); 
+        const target = window.location.hash.substring(1);
+        if (target) {
+            routeTo(target, false); 
         }
     });
 
-    const hash = window.location.hash.substring(1);
-    if (hash) {
+    // Pages from tools/build-static.js name the docs page they hold; their
+    // hash, if any, is a section of it
+    const prerenderedPage = document.getElementById('content').dataset.page;
+    let hash = window.location.hash.substring(1);
+    if (prerenderedPage && !/\.md(#|$)|^stdlib/.test(hash)) {
+        hash = hash ? `${prerenderedPage}#${hash}` : prerenderedPage;
+    }
+
+    if (hash && isStdLibRoute(parseHash(hash).file)) {
+        routeTo(hash, false);
+        buildSearchIndex();
+    } else if (hash) {
         showDocs(hash);
     } else {
         showDocs();
@@ -42,8 +97,12 @@ window.addEventListener('DOMContentLoaded', () => {
 });
 
 // Show documentation view
-async function showDocs(fileToLoad = null) {
+async function showDocs(fileToLoad = null, pushState = false) {
+    if (currentView !== 'docs') {
+        rememberRenderedPage();
+    }
     currentView = 'docs';
+    currentStdLibFile = null;
     
     // Update nav buttons
     const navButtons = document.querySelectorAll('.nav-btn');
@@ -55,24 +114,28 @@ async function showDocs(fileToLoad = null) {
     }
     
     try {
-        const response = await fetch('manifest.json');
-        const manifest = await response.json();
-        generateSidebar(manifest, 'docs/');
+        const manifest = await loadManifest();
+        docsManifest = manifest;
+        // Coming back to the docs keeps the sidebar (and its open folders)
+        if (sidebarView !== 'docs') {
+            generateSidebar(manifest, 'docs/');
+        }
+
+        const errors = await checkManifest(manifest);
+        if (errors.length > 0) {
+            showManifestErrors(errors);
+            return;
+        }
         
         // Build the search index after setting up the sidebar
         buildSearchIndex();
 
         if (fileToLoad) {
-            navigateTo(fileToLoad, false);
-        } else if (manifest.length > 0) {
-            let defaultFile;
-            if (typeof manifest[0] === 'string') {
-                defaultFile = manifest[0];
-            } else if (typeof manifest[0] === 'object' && manifest[0].files && manifest[0].files.length > 0) {
-                defaultFile = manifest[0].files[0];
-            }
-            if (defaultFile) {
-                navigateTo(defaultFile);
+            navigateTo(fileToLoad, pushState);
+        } else {
+            const defaultPage = listManifestPages(manifest).find(page => !page.hidden);
+            if (defaultPage) {
+                navigateTo(defaultPage.file);
             }
         }
     } catch (error) {
@@ -81,57 +144,392 @@ async function showDocs(fileToLoad = null) {
     }
 }
 
-// Show standard library view
-async function showStdLib() {
+let manifestSchemaPromise = null;
+
+// Validate manifest.json against manifest.schema.json. Without the schema
+// (an older deploy, say) the manifest is used unchecked.
+async function checkManifest(manifest) {
+    if (!manifestSchemaPromise) {
+        manifestSchemaPromise = fetch('manifest.schema.json')
+            .then(response => response.ok ? response.json() : null)
+            .catch(() => null);
+    }
+
+    const schema = await manifestSchemaPromise;
+    if (!schema) {
+        console.warn('manifest.schema.json not found; manifest.json was not validated');
+        return [];
+    }
+    return validateManifest(manifest, schema);
+}
+
+function showManifestErrors(errors) {
+    document.getElementById('content').innerHTML = `
+        <div class="error">
+            <strong>manifest.json is invalid</strong>
+            <p>Fix the following and reload. The format is described in <code>manifest.schema.json</code>.</p>
+            <ul>
+                ${errors.map(error => `<li><code>${escapeHtml(error)}</code></li>`).join('')}
+            </ul>
+        </div>
+    `;
+    buildPageToc(null);
+}
+
+// ===========================
+// DOCUMENT CACHE
+// ===========================
+
+// Every text file the site reads (manifest.json, docs pages, standard library
+// pages) goes through fetchDocument, so navigation, search indexing and
+// prefetching share one download per visit, including downloads in progress.
+//
+// Copies are also kept in localStorage unless config.json sets
+// "cache": { "persistent": false }. A document with a `version` (the git blob
+// sha of a standard library page) is reused from there until the version
+// changes; anything else is only read from there when the network fails.
+
+const DOCUMENT_CACHE_PREFIX = 'documentCache:';
+
+// url -> { version, promise }
+const documentCache = new Map();
+
+async function isPersistentCacheEnabled() {
+    const config = await loadSiteConfig();
+    return !(config.cache && config.cache.persistent === false);
+}
+
+function readStoredDocument(url) {
+    try {
+        return JSON.parse(localStorage.getItem(DOCUMENT_CACHE_PREFIX + url));
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeStoredDocument(url, value) {
+    try {
+        localStorage.setItem(DOCUMENT_CACHE_PREFIX + url, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not store ${url}:`, error);
+    }
+}
+
+// The text of a document, downloaded at most once per visit (per version)
+function fetchDocument(url, { version = null, fetchOptions = {} } = {}) {
+    const cached = documentCache.get(url);
+    if (cached && (!version || cached.version === version)) {
+        return cached.promise;
+    }
+
+    const promise = loadDocument(url, version, fetchOptions);
+    documentCache.set(url, { version, promise });
+
+    // Don't keep failures; the next request tries again
+    promise.catch(() => {
+        if (documentCache.get(url)?.promise === promise) {
+            documentCache.delete(url);
+        }
+    });
+    return promise;
+}
+
+async function loadDocument(url, version, fetchOptions) {
+    const persistent = await isPersistentCacheEnabled();
+    const stored = persistent ? readStoredDocument(url) : null;
+    if (stored && version && stored.version === version) {
+        return stored.text;
+    }
+
+    try {
+        const response = await fetch(url, fetchOptions);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.status}`);
+        }
+
+        const text = await response.text();
+        if (persistent) {
+            writeStoredDocument(url, { version, text });
+        }
+        return text;
+    } catch (error) {
+        if (stored) {
+            console.warn(`Using stored copy of ${url}:`, error.message);
+            return stored.text;
+        }
+        throw error;
+    }
+}
+
+async function loadManifest() {
+    return JSON.parse(await fetchDocument('manifest.json'));
+}
+
+// Fetch a page into the cache when the reader points at a link to it. The
+// short delay skips links the pointer only passes over.
+const PREFETCH_DELAY = 80;
+let prefetchTimer = null;
+
+function prefetchLink(link) {
+    if (navigator.connection && navigator.connection.saveData) return;
+
+    const href = link.getAttribute('href');
+    if (!href || /^[a-z]+:/i.test(href) || href.startsWith('//')) return;
+
+    const { file } = parseHash(href.replace(/^#/, ''));
+    if (file.endsWith('.md')) {
+        fetchDocument(documentUrl(file)).catch(() => {});
+    } else if (file.startsWith('stdlib/')) {
+        const stdLibFile = stdLibFiles.find(f => stdLibPath(f) === file);
+        if (stdLibFile) {
+            fetchStdLibMarkdown(stdLibFile).catch(() => {});
+        }
+    }
+}
+
+['mouseover', 'focusin'].forEach(type => {
+    document.addEventListener(type, (e) => {
+        const link = e.target.closest && e.target.closest('#main-nav a, .content a');
+        if (!link) return;
+        clearTimeout(prefetchTimer);
+        prefetchTimer = setTimeout(() => prefetchLink(link), PREFETCH_DELAY);
+    });
+});
+
+document.addEventListener('mouseout', (e) => {
+    const link = e.target.closest && e.target.closest('#main-nav a, .content a');
+    if (link && !link.contains(e.relatedTarget)) {
+        clearTimeout(prefetchTimer);
+    }
+});
+
+// ===========================
+// RENDERED PAGES
+// ===========================
+
+// The last few pages shown, kept as their rendered DOM (highlighted code,
+// listeners and all) so going back to one doesn't parse and highlight it
+// again, and back/forward returns to where it was left.
+// route -> { markdown, nodes, scrollY }
+const RENDERED_PAGE_LIMIT = 10;
+const renderedPages = new Map();
+
+// Scroll positions are restored here, once the page is back on screen
+if ('scrollRestoration' in history) {
+    history.scrollRestoration = 'manual';
+}
+
+// Route of the page on screen: "type-system/Structs.md" or "stdlib/math"
+function currentPageRoute() {
+    if (currentView === 'docs') {
+        return currentDocFile;
+    }
+    return currentStdLibFile && stdLibPath(currentStdLibFile);
+}
+
+// Keep hold of the page on screen before it is replaced
+function rememberRenderedPage() {
+    const route = currentPageRoute();
+    const page = route && renderedPages.get(route);
+    if (!page) return;
+
+    page.nodes = Array.from(document.getElementById('content').childNodes);
+    page.scrollY = window.scrollY;
+    renderedPages.delete(route);
+    renderedPages.set(route, page);
+}
+
+// Show a page: the kept copy when it was rendered from the same markdown,
+// otherwise render it. History navigation (restoreScroll) returns to the
+// position the page was left at.
+function showRenderedPage(route, markdown, section, restoreScroll) {
+    const contentDiv = document.getElementById('content');
+    const kept = renderedPages.get(route);
+
+    if (kept && kept.nodes && kept.markdown === markdown) {
+        contentDiv.replaceChildren(...kept.nodes);
+        updateDocumentMeta(readPageMetadata(markdown).metadata, contentDiv);
+        const savedTab = readCodeTab();
+        if (savedTab) {
+            selectCodeTab(contentDiv, savedTab);
+        }
+        buildPageToc(contentDiv, route);
+        setupScrollSpy();
+    } else {
+        parseAndRenderMarkdown(markdown, route);
+        renderedPages.delete(route);
+        renderedPages.set(route, { markdown, nodes: null, scrollY: 0 });
+        while (renderedPages.size > RENDERED_PAGE_LIMIT) {
+            renderedPages.delete(renderedPages.keys().next().value);
+        }
+    }
+
+    if (section) {
+        scrollToSection(section, 'auto');
+    } else {
+        window.scrollTo({ top: restoreScroll && kept && kept.nodes ? kept.scrollY : 0 });
+    }
+}
+
+// ===========================
+// STANDARD LIBRARY
+// ===========================
+
+const STDLIB_CACHE_PREFIX = 'stdlibCache:';
+
+// How long a cached listing is used before asking the source again. GitHub
+// listings are revalidated with their ETag; 304 responses don't count
+// against the API rate limit.
+const STDLIB_LISTING_TTL = 5 * 60 * 1000;
+
+let siteConfigPromise = null;
+
+// Site settings from config.json; a missing file means "use the defaults"
+function loadSiteConfig() {
+    if (!siteConfigPromise) {
+        siteConfigPromise = fetch('config.json')
+            .then(response => response.ok ? response.json() : {})
+            .catch(() => ({}));
+    }
+    return siteConfigPromise;
+}
+
+async function getStdLibConfig() {
+    return resolveStdLibConfig(await loadSiteConfig());
+}
+
+function readStdLibCache(key) {
+    try {
+        return JSON.parse(localStorage.getItem(STDLIB_CACHE_PREFIX + key));
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeStdLibCache(key, value) {
+    try {
+        localStorage.setItem(STDLIB_CACHE_PREFIX + key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not cache ${key}:`, error);
+    }
+}
+
+// Route path for a standard library file, e.g. "stdlib/math"
+function stdLibPath(file) {
+    return `stdlib/${file.name.replace(/\.md$/, '')}`;
+}
+
+// List the standard library's markdown files, from cache when possible
+async function fetchStdLibListing() {
+    const stdlib = await getStdLibConfig();
+    const listingUrl = new URL(stdLibListingUrl(stdlib), window.location.href).href;
+    const cacheKey = `listing:${listingUrl}`;
+
+    const cached = readStdLibCache(cacheKey);
+    if (cached && Date.now() - cached.checkedAt < STDLIB_LISTING_TTL) {
+        return cached.files;
+    }
+
+    try {
+        // Only GitHub gets an explicit conditional request; other sources
+        // let the browser revalidate its own HTTP cache
+        const options = stdlib.source === 'github'
+            ? { headers: cached && cached.etag ? { 'If-None-Match': cached.etag } : {} }
+            : { cache: 'no-cache' };
+        const response = await fetch(listingUrl, options);
+
+        if (response.status === 304 && cached) {
+            writeStdLibCache(cacheKey, { ...cached, checkedAt: Date.now() });
+            return cached.files;
+        }
+        if (!response.ok) {
+            throw new Error(stdlib.source === 'github'
+                ? `GitHub API error: ${response.status}`
+                : `Could not read ${listingUrl}: ${response.status}`);
+        }
+
+        const files = parseStdLibListing(stdlib, listingUrl, await response.json());
+        writeStdLibCache(cacheKey, { etag: response.headers.get('ETag'), checkedAt: Date.now(), files });
+        return files;
+    } catch (error) {
+        // Rate limited or offline: a stale listing is better than nothing
+        if (cached) {
+            console.warn('Using cached standard library listing:', error.message);
+            return cached.files;
+        }
+        throw error;
+    }
+}
+
+// Markdown is versioned by git blob sha when the listing provides one, so a
+// stored page is only downloaded again when the listing says it changed
+function fetchStdLibMarkdown(file) {
+    return fetchDocument(file.download_url, {
+        version: file.sha || null,
+        fetchOptions: file.sha ? {} : { cache: 'no-cache' }
+    });
+}
+
+// What to suggest when the standard library can't be loaded
+async function stdLibFailureHint() {
+    const stdlib = await getStdLibConfig();
+    switch (stdlib.source) {
+        case 'local':
+            return 'Run <code>npm run sync:stdlib</code> to mirror the standard library docs into this site.';
+        case 'url':
+            return `Check that <code>${escapeHtml(stdlib.url.index)}</code> is reachable under <code>${escapeHtml(stdlib.url.baseUrl)}</code>.`;
+        default:
+            return 'Please check your internet connection and try again.';
+    }
+}
+
+// Show standard library view, optionally opening a page ("math") and section
+async function showStdLib(name = null, section = null, pushState = true) {
+    const wasStdLib = currentView === 'stdlib' && stdLibFiles.length > 0;
+    if (currentView !== 'stdlib') {
+        rememberRenderedPage();
+    }
     currentView = 'stdlib';
+    currentDocFile = null;
     
     // Update nav buttons
-    document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('active'));
-    event.target.classList.add('active');
+    const navButtons = document.querySelectorAll('.nav-btn');
+    navButtons.forEach(btn => btn.classList.remove('active'));
+
+    const stdLibButton = Array.from(navButtons).find(btn => btn.textContent.trim() === 'Standard Library');
+    if (stdLibButton) {
+        stdLibButton.classList.add('active');
+    }
 
-    const nav = document.querySelector('#main-nav ul');
-    nav.innerHTML = '';
-    
     const contentDiv = document.getElementById('content');
-    contentDiv.innerHTML = '<div class="loading">Loading standard library documentation...</div>';
     
     try {
-        // Fetch the list of markdown files from GitHub API
-        const response = await fetch('https://api.github.com/repos/Luma-Programming-Language/Luma-std/contents/docs');
-        
-        if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.status}`);
+        if (!wasStdLib) {
+            document.querySelector('#main-nav ul').innerHTML = '';
+            sidebarView = null;
+            contentDiv.innerHTML = '<div class="loading">Loading standard library documentation...</div>';
+
+            stdLibFiles = await fetchStdLibListing();
+            if (stdLibFiles.length === 0) {
+                throw new Error('No markdown files found in the docs directory');
+            }
+            
+            // Build sidebar for stdlib
+            buildStdLibSidebar();
         }
-        
-        const files = await response.json();
-        stdLibFiles = files.filter(file => 
-            file.name.endsWith('.md') && 
-            file.name !== 'README.md' && 
-            file.name !== 'main.md'
-        );
-        
-        if (stdLibFiles.length === 0) {
-            throw new Error('No markdown files found in the docs directory');
+
+        const file = name
+            ? stdLibFiles.find(f => f.name.replace(/\.md$/, '') === name)
+            : stdLibFiles[0];
+        if (!file) {
+            throw new Error(`There is no standard library page named "${name}"`);
         }
         
-        // Build sidebar for stdlib
-        buildStdLibSidebar();
-        
-        // Load the first file by default
-        await loadStdLibFile(stdLibFiles[0]);
+        await loadStdLibFile(file, section, pushState);
         
     } catch (error) {
-        contentDiv.innerHTML = `
-            <div style="padding: 2rem; text-align: center;">
-                <h2 style="color: #f85149;">❌ Failed to load standard library documentation</h2>
-                <p style="color: var(--text-secondary); margin: 1rem 0;">
-                    ${error.message}
-                </p>
-                <p style="color: var(--text-secondary); font-size: 0.9rem;">
-                    Please check your internet connection and try again.
-                </p>
-            </div>
-        `;
+        renderErrorView(contentDiv, 'Failed to load standard library documentation', error.message, [await stdLibFailureHint()]);
+        buildPageToc(null);
     }
 }
 
@@ -142,78 +540,64 @@ function buildStdLibSidebar() {
     
     const tocHTML = stdLibFiles.map(file => {
         const name = file.name.replace('.md', '');
-        return `<li><a href="#" onclick="loadStdLibFileByName('${file.name}'); return false;">${name}</a></li>`;
+        return `<li><a href="#${escapeHtml(stdLibPath(file))}">${escapeHtml(name)}</a></li>`;
     }).join('');
     
     nav.innerHTML = `
         <div class="sidebar-section-header">Standard Library</div>
         <ul>${tocHTML}</ul>
     `;
+    sidebarView = 'stdlib';
 }
 
-// Load a standard library file by name
-async function loadStdLibFileByName(fileName) {
-    const file = stdLibFiles.find(f => f.name === fileName);
-    if (file) {
-        await loadStdLibFile(file);
+// Load a specific standard library file
+async function loadStdLibFile(file, section = null, pushState = true) {
+    const path = stdLibPath(file);
+    const hash = section ? `#${path}#${section}` : `#${path}`;
+
+    if (pushState && window.location.hash !== hash) {
+        history.pushState({ file: path, section: section }, '', hash);
     }
-}
 
-// Load a specific standard library file
-async function loadStdLibFile(file) {
+    // Same page, different section: just scroll
+    if (currentStdLibFile && currentStdLibFile.name === file.name) {
+        if (section) {
+            scrollToSection(section);
+        } else {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+        return;
+    }
+
+    rememberRenderedPage();
     const contentDiv = document.getElementById('content');
     contentDiv.innerHTML = '<div class="loading">Loading...</div>';
+    currentStdLibFile = null;
     
     try {
-        // Fetch the raw markdown content
-        const response = await fetch(file.download_url);
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch ${file.name}: ${response.status}`);
-        }
-        
-        const markdown = await response.text();
+        const markdown = await fetchStdLibMarkdown(file);
         currentStdLibFile = file;
         
-        // Parse and render the markdown
-        parseAndRenderMarkdown(markdown);
+        showRenderedPage(path, markdown, section, !pushState);
+        refreshSearchIndexFor(path, markdown, 'stdlib');
         
         // Update active state in sidebar
         document.querySelectorAll('#main-nav a').forEach(link => {
-            link.classList.remove('active');
-            if (link.textContent === file.name.replace('.md', '')) {
-                link.classList.add('active');
-            }
+            link.classList.toggle('active', link.getAttribute('href') === `#${path}`);
         });
         
     } catch (error) {
-        contentDiv.innerHTML = `
-            <div style="padding: 2rem; text-align: center;">
-                <h2 style="color: #f85149;">❌ Failed to load file</h2>
-                <p style="color: var(--text-secondary); margin: 1rem 0;">
-                    ${error.message}
-                </p>
-            </div>
-        `;
+        renderErrorView(contentDiv, 'Failed to load file', error.message);
+        buildPageToc(null);
     }
 }
 
 async function tryLoadMarkdown(paths, index) {
     if (index >= paths.length) {
-        document.getElementById('content').innerHTML = `
-            <div style="padding: 2rem; text-align: center;">
-                <h2 style="color: #f85149;">❌ Documentation file not found</h2>
-                <p style="color: var(--text-secondary); margin: 1rem 0;">
-                    Tried looking for markdown file in multiple locations.
-                </p>
-                <p style="color: var(--text-secondary); font-size: 0.9rem; margin-top: 1rem;">
-                    Current URL: <code>${window.location.href}</code>
-                </p>
-                <p style="color: var(--text-secondary); font-size: 0.9rem;">
-                    Make sure <code>docs.md</code> is in the same directory as <code>index.html</code>
-                </p>
-            </div>
-        `;
+        renderErrorView(document.getElementById('content'), 'Documentation file not found', 'Tried looking for markdown file in multiple locations.', [
+            `Current URL: <code>${escapeHtml(window.location.href)}</code>`,
+            'Make sure <code>docs.md</code> is in the same directory as <code>index.html</code>'
+        ]);
         return;
     }
     
@@ -248,21 +632,31 @@ async function loadFromUrl(url) {
         parseAndRenderMarkdown(markdown);
         
     } catch (error) {
-        contentDiv.innerHTML = `
-            <div style="padding: 2rem; text-align: center;">
-                <h2 style="color: #f85149;">❌ Failed to load documentation</h2>
-                <p style="color: var(--text-secondary); margin: 1rem 0;">
-                    Could not find <code>docs.md</code> file.
-                </p>
-                <p style="color: var(--text-secondary); font-size: 0.9rem;">
-                    Make sure <code>docs.md</code> is in the same directory as <code>index.html</code>
-                </p>
-            </div>
-        `;
+        renderErrorView(contentDiv, 'Failed to load documentation', `Could not load ${url}: ${error.message}`, [
+            'Make sure <code>docs.md</code> is in the same directory as <code>index.html</code>'
+        ]);
     }
 }
 
 // Theme toggle
+const THEME_KEY = 'theme';
+
+function readTheme() {
+    try {
+        return localStorage.getItem(THEME_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeTheme(theme) {
+    try {
+        localStorage.setItem(THEME_KEY, theme);
+    } catch (error) {
+        console.warn('Could not store the theme:', error);
+    }
+}
+
 function toggleTheme() {
     const body = document.body;
     const btn = document.querySelector('.theme-toggle');
@@ -271,11 +665,11 @@ function toggleTheme() {
     
     body.setAttribute('data-theme', newTheme);
     btn.textContent = newTheme === 'dark' ? '🌙 Dark' : '☀️ Light';
-    localStorage.setItem('theme', newTheme);
+    writeTheme(newTheme);
 }
 
 // Load saved theme
-const savedTheme = localStorage.getItem('theme') || 'dark';
+const savedTheme = readTheme() || 'dark';
 document.body.setAttribute('data-theme', savedTheme);
 document.querySelector('.theme-toggle').textContent = savedTheme === 'dark' ? '🌙 Dark' : '☀️ Light';
 
@@ -294,17 +688,36 @@ window.addEventListener('scroll', () => {
     }
 });
 
-function parseAndRenderMarkdown(markdown) {
-    // Parse markdown to HTML
-    const html = marked.parse(markdown);
+function parseAndRenderMarkdown(markdown, file = null) {
+    // Front matter is metadata, not content
+    const { metadata, body } = readPageMetadata(markdown);
+    if (file) {
+        setPageMetadata(file, metadata);
+    }
+
+    // Parse markdown to HTML. Pages can come from a remote repository, so
+    // the result is sanitized before it touches the DOM.
+    const html = sanitizeHtml(marked.parse(body));
     
     // Render content
     const contentDiv = document.getElementById('content');
     contentDiv.innerHTML = html;
+
+    addStatusBanner(contentDiv, metadata.status);
+    updateDocumentMeta(metadata, contentDiv);
+    if (file) {
+        addPageNavigation(contentDiv, file);
+    }
+
+    addHeadingPermalinks(contentDiv, file);
     
-    // Highlight code blocks
+    // Code blocks get their copy button now and are highlighted as they
+    // come near the viewport
     contentDiv.querySelectorAll('pre code').forEach((block) => {
-        hljs.highlightElement(block);
+        // Read before highlighting; the line markup added later is not text
+        const lang = (block.className.match(/\blanguage-(\S+)/) || [])[1] || '';
+        const copyText = copyableCode(block.textContent, lang, block.dataset.diff || '');
+        highlightWhenVisible(block);
         
         // Add copy button
         const pre = block.parentElement;
@@ -312,12 +725,24 @@ function parseAndRenderMarkdown(markdown) {
         wrapper.className = 'code-wrapper';
         pre.parentNode.insertBefore(wrapper, pre);
         wrapper.appendChild(pre);
+
+        if (block.dataset.title) {
+            const title = document.createElement('div');
+            title.className = 'code-title';
+            title.innerHTML = '<i class="bi bi-file-earmark-code" aria-hidden="true"></i>';
+            title.appendChild(document.createTextNode(block.dataset.title));
+            wrapper.insertBefore(title, pre);
+            wrapper.classList.add('has-title');
+        }
+        if (block.dataset.doctest) {
+            wrapper.appendChild(createDocTestBadge(block.dataset.doctest));
+        }
         
         const copyBtn = document.createElement('button');
         copyBtn.className = 'copy-btn';
         copyBtn.textContent = 'Copy';
         copyBtn.onclick = function() {
-            navigator.clipboard.writeText(block.textContent);
+            navigator.clipboard.writeText(copyText);
             copyBtn.textContent = 'Copied!';
             copyBtn.classList.add('copied');
             setTimeout(() => {
@@ -328,94 +753,575 @@ function parseAndRenderMarkdown(markdown) {
         wrapper.appendChild(copyBtn);
     });
     
-    // Setup intersection observer for active section highlighting
-    // setupScrollSpy();
+    setupCodeGroups(contentDiv);
+
+    // Build the "On this page" outline and highlight the active section
+    buildPageToc(contentDiv, file);
+    setupScrollSpy();
 }
 
-function generateSidebar(manifest, docsDirectory) {
-    const nav = document.querySelector('#main-nav ul');
-    nav.innerHTML = ''; 
+// How the doc tests (tools/doc-tests.js) treat a Luma example. This is the
+// mode the fence asks for, not a test result.
+const DOC_TEST_BADGES = {
+    run: { label: 'Tested: runs', title: 'The doc tests compile and run this example and check its output' },
+    'no-run': { label: 'Tested: compiles', title: 'The doc tests compile this example without running it' },
+    'should-fail': { label: 'Tested: must not compile', title: 'Shows code the compiler rejects; the doc tests check that it does' },
+    illustrative: { label: 'Not tested', title: 'A fragment, or marked ignore; not checked by the doc tests' }
+};
+
+function createDocTestBadge(mode) {
+    const badge = document.createElement('span');
+    const { label, title } = DOC_TEST_BADGES[mode] || DOC_TEST_BADGES.illustrative;
+    badge.className = `doctest-badge doctest-${mode}`;
+    badge.textContent = label;
+    badge.title = title;
+    return badge;
+}
 
-    const basePath = window.location.pathname.substring(
-        0,
-        window.location.pathname.lastIndexOf("/") + 1
-    );
+// Highlighting every block of a long page (docs.md has over a hundred) at
+// once blocks the page for a noticeable time on slow devices, so blocks are
+// highlighted shortly before they scroll into view
+let codeBlockObserver = null;
 
-    const createLink = (file) => {
-        const filePath = basePath + docsDirectory + file;
-        const fileName = file.split('/').pop().replace(/\.md$/, '').replace(/_/g, ' ');
-        
-        const li = document.createElement('li');
-        const a = document.createElement('a');
-        a.href = `${file}`; 
-        a.textContent = fileName;
-        a.onclick = (e) => {
-            e.preventDefault();
-            navigateTo(file);
+function highlightCodeBlock(block) {
+    if (block.dataset.highlighted) return;
 
-            if (window.innerWidth <= 768) {
-                document.getElementById("sidebar").classList.remove("active");
-            }
-        };
-        li.appendChild(a);
-        return li;
-    };
+    const lang = (block.className.match(/\blanguage-(\S+)/) || [])[1] || '';
+    hljs.highlightElement(block);
+    decorateCodeLines(block);
+    if (lang === 'luma' || lang === 'lx') {
+        linkCodeSymbols(block);
+    }
+}
 
-    // Render items from the manifest
-    manifest.forEach(item => {
-        if (typeof item === 'string') {
-            nav.appendChild(createLink(item));
-        } 
-        else if (typeof item === 'object' && item.folder && item.files) {
-            const folderLi = document.createElement('li');
-            folderLi.className = 'nav-item'; 
-
-            const details = document.createElement('button');
-            const title = document.createElement('span');
-            title.className = 'folder-title';
-            const icon = document.createElement('span');
-            icon.className = 'bi bi-caret-right-fill folder-caret';
-            details.className = 'folder-details';
-            title.textContent = item.folder.replace(/_/g, ' ').replace(/-/g, ' ');
-            details.appendChild(title);
-            details.appendChild(icon);
-            
-            const subList = document.createElement('ul');
-            subList.style.display = 'none'; 
-            subList.className = 'sub-menu';
-            item.files.forEach(file => subList.appendChild(createLink(file)));
-
-            details.onclick = () => {
-                const isExpanded = subList.style.display === 'block';
-                subList.style.display = isExpanded ? 'none' : 'block';
-                folderLi.classList.toggle('open', !isExpanded);
-            };
-            
-            folderLi.appendChild(details);
-            folderLi.appendChild(subList);
-            nav.appendChild(folderLi);
+function highlightWhenVisible(block) {
+    if (typeof IntersectionObserver === 'undefined') {
+        highlightCodeBlock(block);
+        return;
+    }
+    if (!codeBlockObserver) {
+        codeBlockObserver = new IntersectionObserver((entries) => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                codeBlockObserver.unobserve(entry.target);
+                highlightCodeBlock(entry.target);
+            });
+        }, { rootMargin: '600px 0px' });
+    }
+    codeBlockObserver.observe(block);
+}
+
+// Printing shows every block, so highlight the ones not reached yet
+window.addEventListener('beforeprint', () => {
+    document.querySelectorAll('#content pre code:not([data-highlighted])').forEach(highlightCodeBlock);
+});
+
+// Split highlighted code into one element per line so fence metadata can
+// style them. hljs spans may cross line breaks; they are closed at the end
+// of each line and reopened on the next.
+function splitHighlightedLines(html) {
+    const lines = [];
+    const open = [];
+    let line = '';
+    html.split(/(<[^>]+>)/).forEach(part => {
+        if (part.startsWith('</')) {
+            open.pop();
+            line += part;
+        } else if (part.startsWith('<')) {
+            open.push(part);
+            line += part;
+        } else {
+            part.split('\n').forEach((text, i) => {
+                if (i > 0) {
+                    lines.push(line + '</span>'.repeat(open.length));
+                    line = open.join('');
+                }
+                line += text;
+            });
         }
     });
+    lines.push(line);
+    if (lines.length > 1 && lines[lines.length - 1].replace(/<[^>]+>/g, '') === '') {
+        lines.pop();
+    }
+    return lines;
 }
 
-async function navigateTo(file, pushState = true) {
-    // Update the URL hash
-    if (pushState && window.location.hash !== `#${file}`) {
-        history.pushState({ file: file }, '', `#${file}`);
+// Apply the showLineNumbers, {1-3} and diff- fence options. Line numbers
+// and diff markers are drawn by CSS so they are never selected or copied.
+function decorateCodeLines(block) {
+    const { highlight, diff } = block.dataset;
+    const lineNumbers = 'lineNumbers' in block.dataset;
+    if (!highlight && !diff && !lineNumbers) {
+        return;
     }
 
-    const contentDiv = document.getElementById('content');
-    contentDiv.innerHTML = '<div class="loading">Loading...</div>';
+    const ranges = highlight ? highlight.split(',').map(range => range.split('-').map(Number)).map(([start, end]) => [start, end || start]) : [];
+    const markerClasses = { '+': 'diff-add', '-': 'diff-remove' };
 
-    try {
-        const response = await fetch(`docs/${file}`);
-        if (!response.ok) {
-            throw new Error(`Failed to load ${file}`);
+    block.innerHTML = splitHighlightedLines(block.innerHTML).map((html, i) => {
+        const classes = ['code-line'];
+        if (isLineInRanges(i + 1, ranges)) {
+            classes.push('highlighted');
         }
-        const markdown = await response.text();
-        parseAndRenderMarkdown(markdown);
+        // Only + and - are markers; anything else in data-diff is ignored
+        const marker = diff && markerClasses[diff.charAt(i)] ? diff.charAt(i) : '';
+        if (marker) {
+            classes.push(markerClasses[marker]);
+        }
+        const markerHtml = diff ? `<span class="diff-marker" data-marker="${marker}"></span>` : '';
+        return `<span class="${classes.join(' ')}" data-line="${i + 1}">${markerHtml}${html}</span>`;
+    }).join('\n') + '\n';
 
-        // Update active state in sidebar
+    block.parentElement.classList.toggle('line-numbers', lineNumbers);
+    block.parentElement.classList.add('has-lines');
+}
+
+// ---------------------------------------------------------------
+// SYMBOL TOOLTIPS
+//
+// Keywords, types and built-ins in Luma code blocks link to the page that
+// documents them and show a summary from luma-language.js on hover or focus.
+// ---------------------------------------------------------------
+
+function linkCodeSymbols(block) {
+    block.querySelectorAll('.hljs-keyword, .hljs-type, .hljs-literal, .hljs-built_in').forEach(token => {
+        // sizeof<int> and cast<*int> are highlighted as one token
+        const name = (token.textContent.match(/^([A-Za-z_]\w*)(?:<.*>)?$/) || [])[1];
+        const symbol = name && findLumaSymbol(name);
+        if (!symbol || token.children.length > 0) {
+            return;
+        }
+
+        // Inside the token so it keeps the theme's colour
+        const link = document.createElement('a');
+        link.className = 'code-symbol';
+        link.href = `#${symbol.doc}`;
+        link.dataset.symbol = name;
+        link.setAttribute('aria-describedby', 'symbolTooltip');
+        link.textContent = token.textContent;
+        token.replaceChildren(link);
+    });
+}
+
+let symbolTooltip = null;
+
+function showSymbolTooltip(link) {
+    const symbol = findLumaSymbol(link.dataset.symbol);
+    if (!symbol) {
+        return;
+    }
+
+    if (!symbolTooltip) {
+        symbolTooltip = document.createElement('div');
+        symbolTooltip.id = 'symbolTooltip';
+        symbolTooltip.className = 'symbol-tooltip';
+        symbolTooltip.setAttribute('role', 'tooltip');
+        document.body.appendChild(symbolTooltip);
+    }
+
+    symbolTooltip.innerHTML = `
+        <div class="symbol-tooltip-kind">${escapeHtml(symbol.kind)}</div>
+        <code class="symbol-tooltip-signature">${escapeHtml(symbol.signature || symbol.name)}</code>
+        <p>${escapeHtml(symbol.summary)}</p>
+        <div class="symbol-tooltip-hint">Click to open the docs</div>
+    `;
+    symbolTooltip.classList.add('visible');
+
+    // Below the token, or above it when there's no room, within the viewport
+    const rect = link.getBoundingClientRect();
+    const width = symbolTooltip.offsetWidth;
+    const height = symbolTooltip.offsetHeight;
+    const below = rect.bottom + 6 + height <= window.innerHeight;
+    symbolTooltip.style.top = `${below ? rect.bottom + 6 : rect.top - height - 6}px`;
+    symbolTooltip.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - width - 8))}px`;
+}
+
+function hideSymbolTooltip() {
+    if (symbolTooltip) {
+        symbolTooltip.classList.remove('visible');
+    }
+}
+
+document.addEventListener('mouseover', (e) => {
+    const link = e.target.closest && e.target.closest('.code-symbol');
+    if (link) {
+        showSymbolTooltip(link);
+    }
+});
+
+document.addEventListener('mouseout', (e) => {
+    const link = e.target.closest && e.target.closest('.code-symbol');
+    if (link && !link.contains(e.relatedTarget)) {
+        hideSymbolTooltip();
+    }
+});
+
+document.addEventListener('focusin', (e) => {
+    if (e.target.classList && e.target.classList.contains('code-symbol')) {
+        showSymbolTooltip(e.target);
+    } else {
+        hideSymbolTooltip();
+    }
+});
+
+document.addEventListener('focusout', hideSymbolTooltip);
+window.addEventListener('scroll', hideSymbolTooltip, true);
+
+// Allowlist for rendered markdown: DOMPurify's HTML profile (no SVG or
+// MathML, no scripts, event handlers or javascript: URLs) without inline
+// styles, which the Content-Security-Policy blocks anyway, and forms. Heading
+// ids are kept even when they match a document property ("title",
+// "location"); `name`, the attribute that clobbers document properties, is
+// dropped instead.
+const SANITIZE_OPTIONS = {
+    USE_PROFILES: { html: true },
+    FORBID_TAGS: ['style', 'form'],
+    FORBID_ATTR: ['style', 'name'],
+    SANITIZE_DOM: false
+};
+
+function sanitizeHtml(html) {
+    return DOMPurify.sanitize(html, SANITIZE_OPTIONS);
+}
+
+// A failure shown in place of the page. `message` is plain text; `hints` are
+// HTML written in this file, with anything variable passed through escapeHtml.
+function renderErrorView(container, title, message, hints = []) {
+    container.innerHTML = `
+        <div class="error-view">
+            <h2>❌ ${escapeHtml(title)}</h2>
+            <p>${escapeHtml(message)}</p>
+            ${hints.map(hint => `<p class="error-view-hint">${hint}</p>`).join('')}
+        </div>
+    `;
+}
+
+const SITE_TITLE = 'Luma Language Documentation';
+const SITE_DESCRIPTION = document.querySelector('meta[name="description"]').getAttribute('content');
+
+const PAGE_STATUS_BANNERS = {
+    experimental: {
+        icon: 'bi-exclamation-triangle',
+        label: 'Experimental',
+        text: 'This feature works in the current compiler but may still change.'
+    },
+    unsupported: {
+        icon: 'bi-slash-circle',
+        label: 'Not yet supported',
+        text: 'This feature is planned but not implemented in the current compiler yet.'
+    }
+};
+
+// Banner for pages whose front matter sets `status`, placed under the title
+function addStatusBanner(container, status) {
+    const banner = PAGE_STATUS_BANNERS[status];
+    if (!banner) {
+        return;
+    }
+
+    const element = document.createElement('div');
+    element.className = `page-status page-status-${status}`;
+    element.setAttribute('role', 'note');
+    element.innerHTML = `
+        <span class="bi ${banner.icon}"></span>
+        <div><strong>${banner.label}.</strong> ${banner.text}</div>
+    `;
+
+    const title = container.querySelector('h1');
+    if (title) {
+        title.after(element);
+    } else {
+        container.prepend(element);
+    }
+}
+
+// Browser tab title and description meta tags for the rendered page. Pages
+// without a front-matter title use their first heading.
+function updateDocumentMeta(metadata, container) {
+    const heading = container.querySelector('h1');
+    const title = metadata.title || (heading ? heading.textContent.trim() : null);
+    const description = metadata.description || SITE_DESCRIPTION;
+
+    document.title = title && title !== SITE_TITLE ? `${title} - ${SITE_TITLE}` : SITE_TITLE;
+    document.querySelector('meta[name="description"]').setAttribute('content', description);
+    document.querySelector('meta[property="og:title"]').setAttribute('content', title || SITE_TITLE);
+    document.querySelector('meta[property="og:description"]').setAttribute('content', description);
+}
+
+// Remember a page's front matter and show its title in the sidebar (unless
+// manifest.json gives the page a title of its own)
+function setPageMetadata(file, metadata) {
+    if (metadata.title || metadata.description || metadata.status || metadata.tags.length > 0) {
+        pageMetadata[file] = metadata;
+    } else {
+        delete pageMetadata[file];
+    }
+    updateSidebarTitles();
+}
+
+function frontMatterTitles() {
+    const titles = {};
+    Object.entries(pageMetadata).forEach(([file, metadata]) => {
+        if (metadata.title) {
+            titles[file] = metadata.title;
+        }
+    });
+    return titles;
+}
+
+function updateSidebarTitles() {
+    if (currentView !== 'docs') {
+        return;
+    }
+    listManifestPages(docsManifest, frontMatterTitles()).forEach(page => {
+        const label = document.querySelector(`#main-nav a[href="${page.file}"] .nav-label`);
+        if (label) {
+            label.textContent = page.title;
+        }
+    });
+}
+
+const CODE_TAB_KEY = 'codeGroupTab';
+
+function readCodeTab() {
+    try {
+        return localStorage.getItem(CODE_TAB_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeCodeTab(key) {
+    try {
+        localStorage.setItem(CODE_TAB_KEY, key);
+    } catch (error) {
+        console.warn('Could not store the code tab:', error);
+    }
+}
+
+// Show the tab with the given key in every code group on the page that has
+// one, so picking "C equivalent" once switches all the examples
+function selectCodeTab(container, key) {
+    container.querySelectorAll('.code-group').forEach(group => {
+        if (!group.querySelector(`.code-group-tab[data-tab="${key}"]`)) {
+            return;
+        }
+        group.querySelectorAll('.code-group-tab').forEach(tab => {
+            const selected = tab.dataset.tab === key;
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+        });
+        group.querySelectorAll('.code-group-panel').forEach(panel => {
+            panel.hidden = panel.dataset.tab !== key;
+        });
+    });
+}
+
+// Wire up tabbed code groups and restore the last tab the reader picked
+function setupCodeGroups(container) {
+    const groups = container.querySelectorAll('.code-group');
+    if (groups.length === 0) {
+        return;
+    }
+
+    const saved = readCodeTab();
+    if (saved) {
+        selectCodeTab(container, saved);
+    }
+
+    groups.forEach(group => {
+        const tabs = Array.from(group.querySelectorAll('.code-group-tab'));
+        tabs.forEach((tab, index) => {
+            tab.addEventListener('click', () => {
+                writeCodeTab(tab.dataset.tab);
+                const top = group.getBoundingClientRect().top;
+                selectCodeTab(container, tab.dataset.tab);
+                // Groups above this one may change height; keep this one still
+                window.scrollBy(0, group.getBoundingClientRect().top - top);
+            });
+            tab.addEventListener('keydown', (e) => {
+                const offset = e.key === 'ArrowRight' ? 1 : e.key === 'ArrowLeft' ? -1 : 0;
+                if (offset) {
+                    e.preventDefault();
+                    const next = tabs[(index + offset + tabs.length) % tabs.length];
+                    next.focus();
+                    next.click();
+                }
+            });
+        });
+    });
+}
+
+// Append a hover permalink icon to every heading. Links point at
+// "#<file>#<id>" so they can be pasted elsewhere and resolve to the section.
+function addHeadingPermalinks(container, file) {
+    container.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]').forEach(heading => {
+        const anchor = document.createElement('a');
+        anchor.className = 'heading-anchor';
+        anchor.href = file ? `#${file}#${heading.id}` : `#${heading.id}`;
+        anchor.setAttribute('aria-label', `Link to ${heading.textContent}`);
+        anchor.innerHTML = '<i class="bi bi-link-45deg"></i>';
+        heading.appendChild(anchor);
+    });
+}
+
+// Scroll to a heading (or any element) below the fixed header
+function scrollToSection(id, behavior = 'smooth') {
+    const element = document.getElementById(id);
+    if (!element) {
+        return null;
+    }
+
+    const headerOffset = 100;
+    const elementPosition = element.getBoundingClientRect().top;
+    window.scrollTo({
+        top: elementPosition + window.pageYOffset - headerOffset,
+        behavior
+    });
+    return element;
+}
+
+function generateSidebar(manifest, docsDirectory) {
+    const nav = document.querySelector('#main-nav ul');
+    nav.innerHTML = ''; 
+    sidebarView = 'docs';
+
+    // Optional icon and badge from the manifest entry
+    const decorate = (element, node) => {
+        if (node.icon) {
+            const icon = document.createElement('span');
+            icon.className = `bi ${node.icon} nav-icon`;
+            element.prepend(icon);
+        }
+        if (node.badge) {
+            const badge = document.createElement('span');
+            badge.className = 'nav-badge';
+            badge.textContent = node.badge;
+            element.appendChild(badge);
+        }
+    };
+
+    const createLink = (node) => {
+        const li = document.createElement('li');
+        const a = document.createElement('a');
+        a.href = `${node.file}`; 
+        const label = document.createElement('span');
+        label.className = 'nav-label';
+        label.textContent = node.title;
+        a.appendChild(label);
+        a.onclick = (e) => {
+            e.preventDefault();
+            navigateTo(node.file);
+
+            if (window.innerWidth <= 768) {
+                document.getElementById("sidebar").classList.remove("active");
+            }
+        };
+        decorate(a, node);
+        li.appendChild(a);
+        return li;
+    };
+
+    const createExternalLink = (node) => {
+        const li = document.createElement('li');
+        const a = document.createElement('a');
+        a.href = node.url;
+        a.target = '_blank';
+        a.rel = 'noopener';
+        a.className = 'external-link';
+        a.textContent = node.title;
+        decorate(a, node);
+
+        const external = document.createElement('span');
+        external.className = 'bi bi-box-arrow-up-right external-link-icon';
+        a.appendChild(external);
+        li.appendChild(a);
+        return li;
+    };
+
+    const createFolder = (node, depth) => {
+        const folderLi = document.createElement('li');
+        folderLi.className = 'nav-item'; 
+
+        const details = document.createElement('button');
+        const title = document.createElement('span');
+        title.className = 'folder-title';
+        const icon = document.createElement('span');
+        icon.className = 'bi bi-caret-right-fill folder-caret';
+        details.className = 'folder-details';
+        title.textContent = node.title;
+        decorate(title, node);
+        details.appendChild(title);
+        details.appendChild(icon);
+        
+        const subList = document.createElement('ul');
+        subList.style.display = 'none'; 
+        subList.className = 'sub-menu';
+        subList.style.setProperty('--nav-depth', depth + 1);
+        renderNodes(node.children, subList, depth + 1);
+
+        details.onclick = () => {
+            const isExpanded = subList.style.display === 'block';
+            subList.style.display = isExpanded ? 'none' : 'block';
+            folderLi.classList.toggle('open', !isExpanded);
+        };
+        
+        folderLi.appendChild(details);
+        folderLi.appendChild(subList);
+        return folderLi;
+    };
+
+    // Render items from the manifest; folders nest to any depth
+    const renderNodes = (nodes, list, depth) => {
+        nodes.filter(node => !node.hidden).forEach(node => {
+            if (node.type === 'page') {
+                list.appendChild(createLink(node));
+            } else if (node.type === 'link') {
+                list.appendChild(createExternalLink(node));
+            } else if (node.type === 'folder') {
+                list.appendChild(createFolder(node, depth));
+            }
+        });
+    };
+
+    renderNodes(normalizeManifest(manifest, frontMatterTitles()), nav, 0);
+
+    const singlePage = createLink({ file: SINGLE_PAGE_ROUTE, title: 'All on one page', icon: 'bi-file-earmark-text' });
+    singlePage.className = 'nav-single-page';
+    nav.appendChild(singlePage);
+}
+
+async function navigateTo(target, pushState = true) {
+    const { file, section } = parseHash(target);
+    const hash = section ? `#${file}#${section}` : `#${file}`;
+
+    // Update the URL hash
+    if (pushState && window.location.hash !== hash) {
+        history.pushState({ file: file, section: section }, '', hash);
+    }
+
+    // Same page, different section: just scroll
+    if (file === currentDocFile) {
+        if (section) {
+            scrollToSection(section);
+        } else {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+        return;
+    }
+
+    rememberRenderedPage();
+    const contentDiv = document.getElementById('content');
+    contentDiv.innerHTML = '<div class="loading">Loading...</div>';
+    currentDocFile = null;
+
+    try {
+        const markdown = await fetchDocument(documentUrl(file));
+        showRenderedPage(file, markdown, section, !pushState);
+        currentDocFile = file;
+        refreshSearchIndexFor(file, markdown);
+
+        // Update active state in sidebar
         document.querySelectorAll('#main-nav a').forEach(link => {
             link.classList.remove('active');
         });
@@ -424,41 +1330,195 @@ async function navigateTo(file, pushState = true) {
         if (activeLink) {
             activeLink.classList.add('active');
 
-            // Expand parent folder if it exists
-            const parentSubMenu = activeLink.closest('.sub-menu');
-            if (parentSubMenu) {
+            // Expand every folder the page is in
+            let parentSubMenu = activeLink.closest('.sub-menu');
+            while (parentSubMenu) {
                 const parentNavItem = parentSubMenu.closest('.nav-item');
+                parentSubMenu.style.display = 'block';
                 if (parentNavItem) {
-                    parentSubMenu.style.display = 'block';
                     parentNavItem.classList.add('open');
                 }
+                parentSubMenu = parentNavItem && parentNavItem.parentElement.closest('.sub-menu');
             }
         }
 
     } catch (error) {
-        contentDiv.innerHTML = `<div class="error">${error.message}</div>`;
+        contentDiv.innerHTML = `<div class="error">${escapeHtml(error.message)}</div>`;
+        buildPageToc(null);
     }
 }
 
+// Build the "On this page" outline from the rendered page's h2-h4 headings
+function buildPageToc(container, file = null) {
+    const toc = document.getElementById('pageToc');
+    const list = document.getElementById('pageTocList');
+    list.innerHTML = '';
+
+    const headings = container ? container.querySelectorAll('h2[id], h3[id], h4[id]') : [];
+    if (headings.length < 2) {
+        toc.classList.add('hidden');
+        return;
+    }
+
+    // Nest each heading under the closest preceding heading of a lower level
+    const stack = [{ level: 1, list }];
+    headings.forEach(heading => {
+        const level = parseInt(heading.tagName.substring(1), 10);
+        while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+            stack.pop();
+        }
+
+        let parentList = stack[stack.length - 1].list;
+        if (parentList !== list && !parentList.classList.contains('toc-sublist')) {
+            // Lazily create the sublist the first time a child shows up
+            const sublist = document.createElement('ul');
+            sublist.className = 'toc-sublist';
+            parentList.appendChild(sublist);
+            stack[stack.length - 1].list = sublist;
+            parentList = sublist;
+        }
+
+        const li = document.createElement('li');
+        li.className = `toc-h${level}`;
+        const a = document.createElement('a');
+        a.href = file ? `#${file}#${heading.id}` : `#${heading.id}`;
+        a.dataset.target = heading.id;
+        a.textContent = heading.textContent;
+        li.appendChild(a);
+        parentList.appendChild(li);
+
+        stack.push({ level, list: li });
+    });
+
+    toc.classList.remove('hidden');
+    toc.classList.toggle('collapsed', window.innerWidth <= 1200);
+}
+
+function togglePageToc() {
+    document.getElementById('pageToc').classList.toggle('collapsed');
+}
+
+let scrollSpyObserver = null;
+
+// Highlight the outline entry for the section currently in view
 function setupScrollSpy() {
-    const sections = document.querySelectorAll('.content h1, .content h2, .content h3');
-    const navLinks = document.querySelectorAll('.sidebar a');
+    if (scrollSpyObserver) {
+        scrollSpyObserver.disconnect();
+        scrollSpyObserver = null;
+    }
+
+    const sections = document.querySelectorAll('.content h2[id], .content h3[id], .content h4[id]');
+    const tocLinks = document.querySelectorAll('#pageTocList a');
+    if (sections.length === 0 || tocLinks.length === 0) {
+        return;
+    }
+
+    const setActive = (id) => {
+        tocLinks.forEach(link => {
+            link.classList.toggle('active', link.dataset.target === id);
+        });
+    };
     
-    const observer = new IntersectionObserver((entries) => {
+    scrollSpyObserver = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
-                navLinks.forEach(link => link.classList.remove('active'));
-                const activeLink = document.querySelector(`.sidebar a[href="#${entry.target.id}"]`);
-                if (activeLink) {
-                    activeLink.classList.add('active');
-                }
+                setActive(entry.target.id);
             }
         });
     }, {
         rootMargin: '-20% 0px -80% 0px'
     });
     
-    sections.forEach(section => observer.observe(section));
+    sections.forEach(section => scrollSpyObserver.observe(section));
+    setActive(sections[0].id);
+}
+
+// Pages of the view a route belongs to, in reading order, as
+// { route, title, trail } where `trail` holds the folder names between the
+// view's root and the page. Hidden docs pages are left out.
+function readingOrder(route) {
+    if (isStdLibRoute(route)) {
+        return stdLibFiles.map(file => {
+            const path = stdLibPath(file);
+            return { route: path, title: pageTitle(path), trail: [] };
+        });
+    }
+    return listManifestPages(docsManifest, frontMatterTitles())
+        .filter(page => !page.hidden)
+        .map(page => ({ route: page.file, title: page.title, trail: page.folders }));
+}
+
+// Where a page sits in its view: breadcrumb trail and neighbours
+function pagePosition(route) {
+    const order = readingOrder(route);
+    const index = order.findIndex(page => page.route === route);
+    const stdlib = isStdLibRoute(route);
+    const hiddenPage = !stdlib && index === -1
+        ? listManifestPages(docsManifest, frontMatterTitles()).find(page => page.file === route)
+        : null;
+
+    return {
+        root: stdlib
+            ? { title: 'Standard Library', route: 'stdlib' }
+            : { title: 'Docs', route: order.length > 0 ? order[0].route : null },
+        trail: index !== -1 ? order[index].trail : (hiddenPage ? hiddenPage.folders : []),
+        title: pageTitle(route),
+        previous: index > 0 ? order[index - 1] : null,
+        next: index !== -1 && index < order.length - 1 ? order[index + 1] : null
+    };
+}
+
+// Breadcrumbs above the page ("Docs › Type System › Structs") and
+// previous/next cards below it
+function addPageNavigation(container, route) {
+    const position = pagePosition(route);
+
+    const rootCrumb = position.root.route
+        ? `<a href="#${escapeHtml(position.root.route)}">${escapeHtml(position.root.title)}</a>`
+        : escapeHtml(position.root.title);
+    const breadcrumbs = document.createElement('nav');
+    breadcrumbs.className = 'breadcrumbs';
+    breadcrumbs.setAttribute('aria-label', 'Breadcrumb');
+    breadcrumbs.innerHTML = `
+        <ol>
+            <li>${rootCrumb}</li>
+            ${position.trail.map(folder => `<li>${escapeHtml(folder)}</li>`).join('')}
+            <li aria-current="page">${escapeHtml(position.title)}</li>
+        </ol>
+    `;
+    container.prepend(breadcrumbs);
+
+    if (!position.previous && !position.next) {
+        return;
+    }
+
+    const card = (page, direction) => {
+        if (!page) {
+            return '<span></span>';
+        }
+        const label = direction === 'previous' ? '← Previous' : 'Next →';
+        const shortcut = direction === 'previous' ? '[' : ']';
+        return `
+            <a class="page-nav-link ${direction}" href="#${escapeHtml(page.route)}" data-route="${escapeHtml(page.route)}" title="${label} (${shortcut})">
+                <span class="page-nav-label">${label}</span>
+                <span class="page-nav-title">${escapeHtml(page.title)}</span>
+            </a>
+        `;
+    };
+
+    const pageNav = document.createElement('nav');
+    pageNav.className = 'page-nav';
+    pageNav.setAttribute('aria-label', 'Previous and next page');
+    pageNav.innerHTML = card(position.previous, 'previous') + card(position.next, 'next');
+    container.appendChild(pageNav);
+}
+
+// Follow the rendered previous/next card, if the page has one
+function goToAdjacentPage(direction) {
+    const link = document.querySelector(`#content .page-nav-link.${direction}`);
+    if (link) {
+        routeTo(link.dataset.route);
+    }
 }
 
 // Smooth scrolling for anchor links
@@ -468,7 +1528,7 @@ document.addEventListener('click', (e) => {
 
     const href = link.getAttribute('href');
 
-    if (href && href.endsWith('.md')) {
+    if (href && /\.md(#.*)?$/.test(href) && !href.startsWith('#') && !/^[a-z]+:/i.test(href)) {
         e.preventDefault();
         navigateTo(href);
         return;
@@ -476,10 +1536,22 @@ document.addEventListener('click', (e) => {
 
     if (href?.startsWith('#')) {
         e.preventDefault();
-        const id = href.slice(1);
-        const element = document.getElementById(id);
+
+        // Deep link to another page, e.g. "#type-system/Structs.md#methods"
+        // or "#stdlib/math"
+        const { file, section } = parseHash(href);
+        if (file.endsWith('.md') || isStdLibRoute(file)) {
+            routeTo(section ? `${file}#${section}` : file);
+            return;
+        }
+
+        const id = decodeLinkPart(href.slice(1));
+        const element = scrollToSection(id);
         if (element) {
-            element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            const page = currentPageRoute();
+            if (page) {
+                history.pushState({ file: page, section: id }, '', `#${page}#${id}`);
+            }
             
             // Close mobile menu
             if (window.innerWidth <= 768) {
@@ -494,97 +1566,195 @@ document.addEventListener('click', (e) => {
 // ===========================
 
 let searchIndex = [];
+let searchIndexFileHashes = {};
+let searchEngine = null;
 let isSearchIndexBuilt = false;
 
-// Build search index from all documents in the manifest
+// Build search index from all documents in the manifest. A prebuilt
+// search-index.json (see tools/build-search-index.js) is used when it matches
+// the current manifest; otherwise every page is fetched and indexed here.
 async function buildSearchIndex() {
     if (isSearchIndexBuilt) return;
 
     console.log('Building search index...');
     searchIndex = [];
+    searchIndexFileHashes = {};
 
     try {
-        const manifestResponse = await fetch('manifest.json');
-        const manifest = await manifestResponse.json();
-
-        const filesToIndex = [];
-        manifest.forEach(item => {
-            if (typeof item === 'string') {
-                filesToIndex.push(item);
-            } else if (item.files) {
-                filesToIndex.push(...item.files);
-            }
-        });
+        const manifest = await loadManifest();
+        if (docsManifest.length === 0) {
+            docsManifest = manifest;
+        }
+
+        const prebuilt = await loadPrebuiltSearchIndex(manifest);
+        if (prebuilt) {
+            searchIndex = prebuilt.entries;
+            searchIndexFileHashes = prebuilt.files;
+            Object.entries(prebuilt.pages || {}).forEach(([file, metadata]) => setPageMetadata(file, metadata));
+            searchEngine = null;
+            isSearchIndexBuilt = true;
+            console.log('Search index loaded.', searchIndex.length, 'items');
+            revalidateSearchIndex(prebuilt, manifest);
+        } else {
+            for (const file of listManifestFiles(manifest)) {
+                try {
+                    await indexSearchDocument(file, await fetchDocument(`docs/${file}`));
 
-        for (const file of filesToIndex) {
-            try {
-                const response = await fetch(`docs/${file}`);
-                if (!response.ok) continue;
-
-                const markdown = await response.text();
-                const html = marked.parse(markdown);
-
-                const tempDiv = document.createElement('div');
-                tempDiv.innerHTML = html;
-
-                // Index headings
-                tempDiv.querySelectorAll('h1, h2, h3, h4').forEach((heading, idx) => {
-                    const slug = heading.textContent.toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-').replace(/-+/g, '-').trim();
-                    const id = slug || `heading-${idx}`;
-                    
-                    searchIndex.push({
-                        title: heading.textContent,
-                        id: id,
-                        file: file,
-                        type: 'heading',
-                        level: heading.tagName.toLowerCase(),
-                        content: heading.nextElementSibling ? heading.nextElementSibling.textContent.slice(0, 300) : ''
-                    });
-                });
-
-                // Index paragraphs
-                tempDiv.querySelectorAll('p').forEach(p => {
-                    const text = p.textContent;
-                    if (text.length > 100 || hasKeywords(text)) {
-                        const prevHeading = findPreviousHeading(p);
-                        searchIndex.push({
-                            title: prevHeading ? prevHeading.textContent : file.replace('.md', ''),
-                            id: prevHeading ? (prevHeading.textContent.toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-').replace(/-+/g, '-').trim() || `heading-` + Math.random()) : '',
-                            file: file,
-                            type: 'content',
-                            content: text.slice(0, 300)
-                        });
-                    }
-                });
-
-            } catch (error) {
-                console.warn(`Could not index file ${file}:`, error);
+                } catch (error) {
+                    console.warn(`Could not index file ${file}:`, error);
+                }
             }
+            isSearchIndexBuilt = true;
+            console.log('Search index built.', searchIndex.length, 'items');
         }
-        isSearchIndexBuilt = true;
-        console.log('Search index built.', searchIndex.length, 'items');
 
     } catch (error) {
         console.error('Failed to build search index:', error);
+        return;
+    }
+
+    indexStdLibForSearch();
+}
+
+// Add the standard library pages to the index. They live in another repo, so
+// this runs after the docs are searchable and failures only cost stdlib hits.
+async function indexStdLibForSearch() {
+    try {
+        const files = await fetchStdLibListing();
+        for (const file of files) {
+            await indexSearchDocument(stdLibPath(file), await fetchStdLibMarkdown(file), 'stdlib');
+        }
+        console.log('Standard library indexed.', files.length, 'files');
+    } catch (error) {
+        console.warn('Standard library was not added to the search index:', error.message);
+    }
+}
+
+// Markdown is turned into entries by search-worker.js when the browser can
+// run it (not on file:// pages), otherwise here on the main thread.
+// searchWorker is undefined until first used and null when unavailable.
+let searchWorker;
+let searchWorkerRequestId = 0;
+const searchWorkerRequests = new Map();
+
+function getSearchWorker() {
+    if (searchWorker !== undefined) {
+        return searchWorker;
+    }
+
+    try {
+        searchWorker = new Worker('search-worker.js');
+    } catch (error) {
+        searchWorker = null;
+        return null;
+    }
+
+    searchWorker.addEventListener('message', (e) => {
+        const { id, error, ...result } = e.data;
+        const request = searchWorkerRequests.get(id);
+        searchWorkerRequests.delete(id);
+        if (request) {
+            error ? request.reject(new Error(error)) : request.resolve(result);
+        }
+    });
+
+    // The script failed to load or crashed: index on the main thread from now on
+    searchWorker.addEventListener('error', (e) => {
+        console.warn('Search worker unavailable, indexing on the main thread:', e.message || 'search-worker.js did not load');
+        searchWorker.terminate();
+        searchWorker = null;
+        searchWorkerRequests.forEach(request => request.reject(new Error('Search worker unavailable')));
+        searchWorkerRequests.clear();
+    });
+    return searchWorker;
+}
+
+// { metadata, entries } for one page
+async function extractSearchDocument(file, markdown) {
+    const worker = getSearchWorker();
+    if (worker) {
+        try {
+            return await new Promise((resolve, reject) => {
+                const id = ++searchWorkerRequestId;
+                searchWorkerRequests.set(id, { resolve, reject });
+                worker.postMessage({ id, file, markdown });
+            });
+        } catch (error) {
+            console.warn(`Indexing ${file} on the main thread:`, error.message);
+        }
     }
+    return {
+        metadata: readPageMetadata(markdown).metadata,
+        entries: extractSearchEntries(markdown, file, marked)
+    };
+}
+
+// (Re-)index one page. Entries from sources other than the docs are tagged
+// so results can show where they came from and `source:` can filter them.
+async function indexSearchDocument(file, markdown, source = 'docs') {
+    const { metadata, entries: extracted } = await extractSearchDocument(file, markdown);
+    setPageMetadata(file, metadata);
+    const entries = extracted.map(entry => source === 'docs' ? entry : { ...entry, source });
+
+    searchIndex = searchIndex
+        .filter(entry => entry.file !== file)
+        .concat(entries);
+    searchIndexFileHashes[file] = hashString(markdown);
+    searchEngine = null;
 }
 
-function findPreviousHeading(element) {
-    let current = element.previousElementSibling;
-    while (current) {
-        if (current.matches('h1, h2, h3, h4')) {
-            return current;
+// Fetch search-index.json, returning null when it is missing or stale
+async function loadPrebuiltSearchIndex(manifest) {
+    try {
+        const response = await fetch('search-index.json', { cache: 'no-cache' });
+        if (!response.ok) {
+            return null;
         }
-        current = current.previousElementSibling;
+
+        const index = await response.json();
+        if (!isSearchIndexCurrent(index, manifest)) {
+            console.log('Prebuilt search index is stale, indexing in the browser instead.');
+            return null;
+        }
+        return index;
+    } catch (error) {
+        return null;
     }
-    return null;
 }
 
-function hasKeywords(text) {
-    const keywords = ['const', 'let', 'fn', 'struct', 'enum', 'loop', 'if', 'return', 
-                     'alloc', 'free', 'defer', 'cast', 'sizeof', 'pub', 'priv'];
-    const lowerText = text.toLowerCase();
-    return keywords.some(kw => lowerText.includes(kw));
+// search-index.json matches the manifest but may predate edits to the pages,
+// so once the search is usable, compare it with the pages themselves and
+// re-index the ones that changed
+async function revalidateSearchIndex(index, manifest) {
+    const documents = {};
+    for (const file of listManifestFiles(manifest)) {
+        try {
+            documents[file] = await fetchDocument(`docs/${file}`);
+        } catch (error) {
+            // Offline or missing; keep the prebuilt entries for it
+        }
+    }
+    if (isSearchIndexCurrent(index, manifest, documents)) {
+        return;
+    }
+
+    const changed = changedSearchDocuments(index, documents);
+    console.log('Prebuilt search index is out of date for', changed.length, 'pages, re-indexing them.');
+    for (const file of changed) {
+        await indexSearchDocument(file, documents[file]);
+    }
+}
+
+// Re-index a single page if its markdown differs from what the index was
+// built from (e.g. the docs were edited without regenerating the index)
+function refreshSearchIndexFor(file, markdown, source = 'docs') {
+    if (!isSearchIndexBuilt || !(file in searchIndexFileHashes)) {
+        return;
+    }
+
+    if (searchIndexFileHashes[file] !== hashString(markdown)) {
+        indexSearchDocument(file, markdown, source);
+    }
 }
 
 // Perform search
@@ -592,99 +1762,170 @@ function performSearch(query) {
     if (!query || query.length < 2) {
         return [];
     }
-    
-    const lowerQuery = query.toLowerCase();
-    const queryWords = lowerQuery.split(/\s+/).filter(w => w.length > 1);
-    
-    const results = searchIndex.map(item => {
-        let score = 0;
-        const lowerTitle = item.title.toLowerCase();
-        const lowerContent = item.content.toLowerCase();
-        
-        // Exact title match - highest score
-        if (lowerTitle === lowerQuery) {
-            score += 100;
-        }
-        
-        // Title starts with query
-        if (lowerTitle.startsWith(lowerQuery)) {
-            score += 50;
-        }
-        
-        // Title contains query
-        if (lowerTitle.includes(lowerQuery)) {
-            score += 30;
-        }
-        
-        // Content contains exact query
-        if (lowerContent.includes(lowerQuery)) {
-            score += 20;
+
+    if (!searchEngine) {
+        searchEngine = createSearchEngine(searchIndex);
+    }
+    return searchEngine.search(query, 10);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function matchedSearchTerms(query, terms = []) {
+    const matchedTerms = new Set(terms);
+    tokenize(query).forEach(word => matchedTerms.add(stem(word)));
+    return matchedTerms;
+}
+
+// Highlight words in text that matched the query and return escaped HTML.
+// `terms` are the index terms a result matched (stems, prefix and typo
+// expansions), so "defered" still highlights "deferred". Identifiers such
+// as Status::Active are highlighted whole when they matched exactly.
+function highlightSearchTerms(text, query, terms = []) {
+    const matchedTerms = matchedSearchTerms(query, terms);
+    const isMatch = (word) => matchedTerms.has(stem(word.toLowerCase()));
+
+    let html = '';
+    let last = 0;
+    text.replace(IDENTIFIER_PATTERN, (identifier, offset) => {
+        html += escapeHtml(text.slice(last, offset));
+        if (matchedTerms.has(identifier.toLowerCase())) {
+            html += `<mark>${escapeHtml(identifier)}</mark>`;
+        } else {
+            // Split the raw identifier, not its escaped form, so words like
+            // "lt" can't match inside an entity
+            let wordLast = 0;
+            identifier.replace(WORD_PATTERN, (word, wordOffset) => {
+                html += escapeHtml(identifier.slice(wordLast, wordOffset));
+                html += isMatch(word) ? `<mark>${escapeHtml(word)}</mark>` : escapeHtml(word);
+                wordLast = wordOffset + word.length;
+                return word;
+            });
+            html += escapeHtml(identifier.slice(wordLast));
         }
-        
-        // Each word match
-        queryWords.forEach(word => {
-            if (lowerTitle.includes(word)) score += 10;
-            if (lowerContent.includes(word)) score += 5;
-        });
-        
-        // Bonus for heading type
-        if (item.type === 'heading') {
-            score += 10;
-            if (item.level === 'h1') score += 5;
-            if (item.level === 'h2') score += 3;
+        last = offset + identifier.length;
+        return identifier;
+    });
+    return html + escapeHtml(text.slice(last));
+}
+
+// Cut a snippet of the content around the first matching word. For code the
+// snippet starts at the first matching line.
+function makeSearchSnippet(text, query, terms = [], type = 'content', length = 200) {
+    const matchedTerms = matchedSearchTerms(query, terms);
+
+    // Prefer the first exact identifier match, then the first matching word
+    let exactIndex = -1;
+    let wordIndex = -1;
+    const pattern = new RegExp(IDENTIFIER_PATTERN.source, 'gu');
+    let match;
+    while (exactIndex < 0 && (match = pattern.exec(text)) !== null) {
+        const identifier = match[0].toLowerCase();
+        const words = identifier.match(WORD_PATTERN) || [];
+        if (words.length > 0 && identifier !== words[0] && matchedTerms.has(identifier)) {
+            exactIndex = match.index;
+        } else if (wordIndex < 0 && words.some(word => matchedTerms.has(stem(word)))) {
+            wordIndex = match.index;
         }
-        
-        return { ...item, score };
-    }).filter(item => item.score > 0)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 10);
-    
-    return results;
+    }
+    const matchIndex = exactIndex >= 0 ? exactIndex : wordIndex;
+
+    if (type === 'code') {
+        const lineStart = matchIndex > 0 ? text.lastIndexOf('\n', matchIndex) + 1 : 0;
+        return text.slice(lineStart).split('\n').slice(0, 3).join('\n');
+    }
+
+    if (text.length <= length) {
+        return text;
+    }
+
+    const start = Math.max(0, matchIndex - 40);
+    const snippet = text.slice(start, start + length);
+    return (start > 0 ? '…' : '') + snippet + (start + length < text.length ? '…' : '');
 }
 
-// Highlight search terms in text
-function highlightSearchTerms(text, query) {
-    const words = query.toLowerCase().split(/\s+/).filter(w => w.length > 1);
-    let highlighted = text;
-    
-    words.forEach(word => {
-        const regex = new RegExp(`(${word})`, 'gi');
-        highlighted = highlighted.replace(regex, '<mark>$1</mark>');
+// Show the query's phrases, filters and exclusions as removable chips
+function renderSearchChips(parsed, resultsContainer) {
+    if (parsed.clauses.length === 0) {
+        return;
+    }
+
+    const input = document.getElementById(resultsContainer.dataset.searchInput);
+    const chips = document.createElement('div');
+    chips.className = 'search-chips';
+
+    parsed.clauses.forEach(clause => {
+        const label = clause.kind === 'filter' ? `${clause.key}: ${clause.value}` :
+                      clause.kind === 'phrase' ? `"${clause.value}"` : `not ${clause.value}`;
+
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `search-chip search-chip-${clause.kind}`;
+        chip.title = `Remove ${clause.raw}`;
+        chip.innerHTML = `<span>${escapeHtml(label)}</span><span class="bi bi-x"></span>`;
+        chip.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            input.value = input.value.replace(clause.raw, '').replace(/\s+/g, ' ').trim();
+            input.dispatchEvent(new Event('input'));
+            input.focus();
+        });
+        chips.appendChild(chip);
     });
-    
-    return highlighted;
+
+    resultsContainer.appendChild(chips);
 }
 
 // Display search results
 function displaySearchResults(results, query, resultsContainer) {
+    const parsed = parseSearchQuery(query);
+    const textQuery = searchQueryText(parsed);
+
+    // Clear previous results
+    resultsContainer.innerHTML = '';
+    renderSearchChips(parsed, resultsContainer);
+
     if (results.length === 0) {
-        resultsContainer.innerHTML = '<div class="search-no-results">No results found</div>';
+        resultsContainer.insertAdjacentHTML('beforeend', textQuery
+            ? '<div class="search-no-results">No results found</div>'
+            : '<div class="search-no-results">Add a search term to use these filters</div>');
         return;
     }
     
-    // Clear previous results
-    resultsContainer.innerHTML = '';
-    
-    results.forEach(result => {
+    results.forEach((result, index) => {
         const typeIcon = result.type === 'heading' ? '📄' : 
                         result.type === 'code' ? '💻' : '📝';
-        const snippet = highlightSearchTerms(result.content.trim(), query);
+        const snippet = highlightSearchTerms(makeSearchSnippet(result.content.trim(), textQuery, result.terms, result.type), textQuery, result.terms);
+        const page = pageTitle(result.file);
         
         const resultItem = document.createElement('div');
         resultItem.className = 'search-result-item';
+        resultItem.id = `${resultsContainer.id}-option-${index}`;
+        resultItem.setAttribute('role', 'option');
+        resultItem.setAttribute('aria-selected', 'false');
         resultItem.innerHTML = `
             <div class="search-result-title">
                 <span>${typeIcon}</span>
-                <span>${highlightSearchTerms(result.title, query)}</span>
-                <span class="search-result-badge">${result.type}</span>
+                <span>${highlightSearchTerms(result.title, textQuery, result.terms)}</span>
+                ${page !== result.title ? `<span class="search-result-page">${escapeHtml(page)}</span>` : ''}
+                <span class="search-result-badge">${escapeHtml(result.type)}</span>
+                ${result.source === 'stdlib' ? '<span class="search-result-badge stdlib">stdlib</span>' : ''}
             </div>
-            <div class="search-result-snippet">${snippet}</div>
+            <div class="search-result-snippet${result.type === 'code' ? ' code' : ''}">${snippet}</div>
         `;
         
         // Add click event listener - use event delegation to prevent issues
         resultItem.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
+            addRecentSearch(query);
             navigateToResult(result.file, result.id);
         });
         
@@ -693,10 +1934,8 @@ function displaySearchResults(results, query, resultsContainer) {
 }
 
 async function navigateToResult(file, id) {
-    console.log('Navigating to file:', file, 'ID:', id);
-
-    // First, navigate to the correct document
-    await navigateTo(file);
+    // First, navigate to the correct document and section
+    await routeTo(id ? `${file}#${id}` : file);
 
     const resultsDiv = document.getElementById('searchResults');
     const mobileResultsDiv = document.getElementById('mobileSearchResults');
@@ -716,43 +1955,152 @@ async function navigateToResult(file, id) {
         document.getElementById('sidebar').classList.remove('active');
     }
     
-    // Navigate to the element
-    if (id) {
-        // Small delay to ensure DOM is ready
+    // Highlight the heading or code block briefly
+    const element = id ? document.getElementById(id) : null;
+    if (element) {
+        element.classList.remove('search-flash');
+        void element.offsetWidth;
+        element.classList.add('search-flash');
         setTimeout(() => {
-            const element = document.getElementById(id);
-            console.log('Found element:', element); // Debug log
-            
-            if (element) {
-                // Scroll to element with offset for fixed header
-                const headerOffset = 100;
-                const elementPosition = element.getBoundingClientRect().top;
-                const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
-                
-                console.log('Scrolling to position:', offsetPosition); // Debug log
-                
-                window.scrollTo({
-                    top: offsetPosition,
-                    behavior: 'smooth'
-                });
-                
-                // Highlight the element briefly
-                element.style.transition = 'background 0.3s';
-                element.style.background = 'var(--bg-tertiary)';
-                setTimeout(() => {
-                    element.style.background = '';
-                }, 1500);
-            } else {
-                console.warn('Element not found with ID:', id);
-                window.scrollTo({ top: 60, behavior: 'smooth' });
-            }
-        }, 150);
+            element.classList.remove('search-flash');
+        }, 1500);
+    }
+}
+
+// Recently used searches, most recent first
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 8;
+
+function getRecentSearches() {
+    try {
+        const recent = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY) || '[]');
+        return Array.isArray(recent) ? recent : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function addRecentSearch(query) {
+    query = query.trim();
+    if (query.length < 2) {
+        return;
+    }
+    const recent = getRecentSearches().filter(item => item !== query);
+    recent.unshift(query);
+    try {
+        localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent.slice(0, MAX_RECENT_SEARCHES)));
+    } catch (error) {
+        console.warn('Could not store recent searches:', error);
+    }
+}
+
+function clearRecentSearches() {
+    try {
+        localStorage.removeItem(RECENT_SEARCHES_KEY);
+    } catch (error) {
+        // Storage unavailable; nothing was stored
+    }
+}
+
+// Show recent searches in a results list while the query is empty.
+// Returns false when there is nothing to show.
+function displayRecentSearches(input, resultsContainer) {
+    const recent = getRecentSearches();
+    resultsContainer.innerHTML = '';
+    if (recent.length === 0) {
+        return false;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'search-recent-header';
+    header.innerHTML = '<span>Recent searches</span><button type="button" class="search-recent-clear">Clear</button>';
+    header.querySelector('button').addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        clearRecentSearches();
+        resultsContainer.innerHTML = '';
+        setComboboxExpanded(input, resultsContainer, false);
+        input.focus();
+    });
+    resultsContainer.appendChild(header);
+
+    recent.forEach((query, index) => {
+        const item = document.createElement('div');
+        item.className = 'search-result-item search-recent-item';
+        item.id = `${resultsContainer.id}-option-${index}`;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
+        item.innerHTML = `<span class="bi bi-clock-history"></span><span>${escapeHtml(query)}</span>`;
+        item.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            input.value = query;
+            input.dispatchEvent(new Event('input'));
+            input.focus();
+        });
+        resultsContainer.appendChild(item);
+    });
+    return true;
+}
+
+// ===========================
+// KEYBOARD NAVIGATION
+// ===========================
+
+function setComboboxExpanded(input, listbox, expanded) {
+    input.setAttribute('aria-expanded', String(expanded));
+    if (!expanded) {
+        input.removeAttribute('aria-activedescendant');
+    }
+    if (listbox.classList.contains('search-results')) {
+        listbox.classList.toggle('active', expanded);
+    }
+}
+
+function setActiveOption(input, options, index) {
+    options.forEach((option, i) => {
+        option.setAttribute('aria-selected', String(i === index));
+        option.classList.toggle('active', i === index);
+    });
+
+    if (index >= 0 && options[index]) {
+        input.setAttribute('aria-activedescendant', options[index].id);
+        options[index].scrollIntoView({ block: 'nearest' });
     } else {
-        console.warn('No ID provided');
-        window.scrollTo({ top: 60, behavior: 'smooth' });
+        input.removeAttribute('aria-activedescendant');
     }
 }
 
+// Arrow keys move through the listbox options, Enter opens the active one
+// (or the first one if none is active)
+function attachComboboxKeys(input, listbox) {
+    input.addEventListener('keydown', (e) => {
+        const options = Array.from(listbox.querySelectorAll('[role="option"]'));
+        if (options.length === 0 || e.isComposing) {
+            return;
+        }
+
+        const current = options.findIndex(option => option.getAttribute('aria-selected') === 'true');
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveOption(input, options, (current + 1) % options.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveOption(input, options, current <= 0 ? options.length - 1 : current - 1);
+        } else if (e.key === 'Home' && current >= 0) {
+            e.preventDefault();
+            setActiveOption(input, options, 0);
+        } else if (e.key === 'End' && current >= 0) {
+            e.preventDefault();
+            setActiveOption(input, options, options.length - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            options[current >= 0 ? current : 0].click();
+        }
+    });
+}
+
 // Desktop search setup
 const searchInput = document.getElementById('searchInput');
 const searchResults = document.getElementById('searchResults');
@@ -761,25 +2109,29 @@ searchInput.addEventListener('input', (e) => {
     const query = e.target.value;
     
     if (query.length < 2) {
-        searchResults.classList.remove('active');
+        setComboboxExpanded(searchInput, searchResults, query.length === 0 && displayRecentSearches(searchInput, searchResults));
         return;
     }
     
     const results = performSearch(query);
     displaySearchResults(results, query, searchResults);
-    searchResults.classList.add('active');
+    setComboboxExpanded(searchInput, searchResults, true);
 });
 
 searchInput.addEventListener('focus', (e) => {
     if (e.target.value.length >= 2) {
-        searchResults.classList.add('active');
+        setComboboxExpanded(searchInput, searchResults, true);
+    } else if (e.target.value.length === 0) {
+        setComboboxExpanded(searchInput, searchResults, displayRecentSearches(searchInput, searchResults));
     }
 });
 
+attachComboboxKeys(searchInput, searchResults);
+
 // Close search results when clicking outside
 document.addEventListener('click', (e) => {
     if (!e.target.closest('.search-container')) {
-        searchResults.classList.remove('active');
+        setComboboxExpanded(searchInput, searchResults, false);
     }
     if (!e.target.closest('.mobile-search-overlay')) {
         document.getElementById('mobileSearchOverlay').classList.remove('active');
@@ -795,13 +2147,17 @@ mobileSearchInput.addEventListener('input', (e) => {
     
     if (query.length < 2) {
         mobileSearchResults.innerHTML = '';
+        setComboboxExpanded(mobileSearchInput, mobileSearchResults, query.length === 0 && displayRecentSearches(mobileSearchInput, mobileSearchResults));
         return;
     }
     
     const results = performSearch(query);
     displaySearchResults(results, query, mobileSearchResults);
+    setComboboxExpanded(mobileSearchInput, mobileSearchResults, true);
 });
 
+attachComboboxKeys(mobileSearchInput, mobileSearchResults);
+
 function toggleMobileSearch() {
     const overlay = document.getElementById('mobileSearchOverlay');
     const input = document.getElementById('mobileSearchInput');
@@ -809,30 +2165,541 @@ function toggleMobileSearch() {
     overlay.classList.toggle('active');
     
     if (overlay.classList.contains('active')) {
+        setComboboxExpanded(input, mobileSearchResults, displayRecentSearches(input, mobileSearchResults));
         setTimeout(() => input.focus(), 100);
     } else {
         input.value = '';
         mobileSearchResults.innerHTML = '';
+        setComboboxExpanded(input, mobileSearchResults, false);
+    }
+}
+
+// ===========================
+// COMMAND PALETTE
+// ===========================
+
+const commandPalette = document.getElementById('commandPalette');
+const commandPaletteInput = document.getElementById('commandPaletteInput');
+const commandPaletteResults = document.getElementById('commandPaletteResults');
+let commandPaletteReturnFocus = null;
+
+// Subsequence fuzzy match: every query character must appear in order.
+// Consecutive characters and matches at word starts score higher.
+// Returns null when the text does not match.
+function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    if (!needle) {
+        return 0;
+    }
+
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const char of needle) {
+        const found = haystack.indexOf(char, from);
+        if (found < 0) {
+            return null;
+        }
+        score += 1;
+        if (found === previous + 1) {
+            score += 2;
+        }
+        if (found === 0 || /[\s\-_/›.:]/.test(haystack[found - 1])) {
+            score += 3;
+        }
+        previous = found;
+        from = found + 1;
+    }
+    return score - haystack.length * 0.01;
+}
+
+// Display name for a document path: its manifest title, or one derived from
+// the file name ("type-system/Structs.md" -> "Structs")
+function pageTitle(file) {
+    const page = listManifestPages(docsManifest, frontMatterTitles()).find(page => page.file === file);
+    if (page) {
+        return page.title;
+    }
+    return pageMetadata[file] && pageMetadata[file].title ? pageMetadata[file].title : defaultPageTitle(file);
+}
+
+// Commands offered by the palette, grouped for display
+function getPaletteCommands() {
+    const commands = [];
+    const theme = document.body.getAttribute('data-theme');
+
+    commands.push({
+        group: 'Commands',
+        icon: 'bi-circle-half',
+        label: `Toggle theme (switch to ${theme === 'dark' ? 'light' : 'dark'})`,
+        action: toggleTheme
+    });
+    commands.push(currentView === 'stdlib'
+        ? { group: 'Commands', icon: 'bi-book', label: 'Switch to Documentation', action: () => showDocs() }
+        : { group: 'Commands', icon: 'bi-collection', label: 'Switch to Standard Library', action: showStdLib });
+    commands.push({ group: 'Commands', icon: 'bi-file-earmark-text', label: 'Show all docs on one page', action: () => routeTo(SINGLE_PAGE_ROUTE) });
+    commands.push({ group: 'Commands', icon: 'bi-printer', label: 'Export or print…', action: openExportDialog });
+
+    document.querySelectorAll('#content .page-nav-link').forEach(link => {
+        const previous = link.classList.contains('previous');
+        commands.push({
+            group: 'Commands',
+            icon: previous ? 'bi-arrow-left' : 'bi-arrow-right',
+            label: `${previous ? 'Previous' : 'Next'} page: ${link.querySelector('.page-nav-title').textContent}`,
+            action: () => routeTo(link.dataset.route)
+        });
+    });
+
+    document.querySelectorAll('#content h2[id], #content h3[id], #content h4[id]').forEach(heading => {
+        commands.push({
+            group: 'On this page',
+            icon: 'bi-hash',
+            label: heading.textContent,
+            action: () => {
+                const page = currentPageRoute();
+                if (page) {
+                    routeTo(`${page}#${heading.id}`);
+                } else {
+                    scrollToSection(heading.id);
+                }
+            }
+        });
+    });
+
+    listManifestPages(docsManifest, frontMatterTitles()).filter(page => !page.hidden).forEach(page => {
+        commands.push({
+            group: 'Go to page',
+            icon: 'bi-file-earmark-text',
+            label: [...page.folders, page.title].join(' › '),
+            action: () => routeTo(page.file)
+        });
+    });
+
+    return commands;
+}
+
+function renderCommandPalette() {
+    const query = commandPaletteInput.value.trim();
+    const groupLimits = { 'Recent searches': 5, 'Commands': 5, 'On this page': query ? 5 : 8, 'Go to page': query ? 6 : 0 };
+    let items = [];
+
+    if (!query) {
+        items = getRecentSearches().slice(0, groupLimits['Recent searches']).map(recent => ({
+            group: 'Recent searches',
+            icon: 'bi-clock-history',
+            label: recent,
+            keepOpen: true,
+            action: () => {
+                commandPaletteInput.value = recent;
+                renderCommandPalette();
+            }
+        }));
+        items = items.concat(getPaletteCommands());
+    } else {
+        items = getPaletteCommands()
+            .map(command => ({ ...command, score: fuzzyMatch(query, command.label) }))
+            .filter(command => command.score !== null)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Apply per-group limits, keeping groups in a fixed order
+    const groups = ['Recent searches', 'Commands', 'On this page', 'Go to page'];
+    items = groups.flatMap(group => items.filter(item => item.group === group).slice(0, groupLimits[group]));
+
+    if (query.length >= 2) {
+        performSearch(query).slice(0, 6).forEach(result => {
+            items.push({
+                group: 'Search results',
+                icon: result.type === 'code' ? 'bi-code-slash' : result.type === 'heading' ? 'bi-file-earmark-text' : 'bi-text-paragraph',
+                label: result.title,
+                hint: `${result.source === 'stdlib' ? 'stdlib · ' : ''}${pageTitle(result.file)} · ${result.type}`,
+                action: () => {
+                    addRecentSearch(query);
+                    navigateToResult(result.file, result.id);
+                }
+            });
+        });
+    }
+
+    commandPaletteResults.innerHTML = '';
+    if (items.length === 0) {
+        commandPaletteResults.innerHTML = '<div class="search-no-results">No matching commands or pages</div>';
+        commandPaletteInput.removeAttribute('aria-activedescendant');
+        return;
+    }
+
+    let currentGroup = null;
+    items.forEach((item, index) => {
+        if (item.group !== currentGroup) {
+            currentGroup = item.group;
+            const header = document.createElement('div');
+            header.className = 'command-palette-group';
+            header.setAttribute('role', 'presentation');
+            header.textContent = item.group;
+            commandPaletteResults.appendChild(header);
+        }
+
+        const option = document.createElement('div');
+        option.className = 'command-palette-item';
+        option.id = `commandPaletteResults-option-${index}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+        option.innerHTML = `
+            <span class="bi ${item.icon}"></span>
+            <span class="command-palette-label">${escapeHtml(item.label)}</span>
+            ${item.hint ? `<span class="command-palette-hint">${escapeHtml(item.hint)}</span>` : ''}
+        `;
+        option.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (!item.keepOpen) {
+                closeCommandPalette();
+            }
+            item.action();
+        });
+        commandPaletteResults.appendChild(option);
+    });
+
+    const options = Array.from(commandPaletteResults.querySelectorAll('[role="option"]'));
+    setActiveOption(commandPaletteInput, options, 0);
+}
+
+function openCommandPalette() {
+    commandPaletteReturnFocus = document.activeElement;
+    commandPalette.classList.add('active');
+    commandPaletteInput.value = '';
+    commandPaletteInput.setAttribute('aria-expanded', 'true');
+    renderCommandPalette();
+    commandPaletteInput.focus();
+}
+
+function closeCommandPalette() {
+    if (!commandPalette.classList.contains('active')) {
+        return;
+    }
+    commandPalette.classList.remove('active');
+    commandPaletteInput.setAttribute('aria-expanded', 'false');
+    commandPaletteInput.removeAttribute('aria-activedescendant');
+    if (commandPaletteReturnFocus && commandPaletteReturnFocus.focus) {
+        commandPaletteReturnFocus.focus();
+    }
+}
+
+commandPaletteInput.addEventListener('input', renderCommandPalette);
+attachComboboxKeys(commandPaletteInput, commandPaletteResults);
+
+commandPalette.addEventListener('click', (e) => {
+    if (e.target === commandPalette) {
+        closeCommandPalette();
     }
+});
+
+function isTypingTarget(element) {
+    return Boolean(element) && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
 }
 
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
-    // Cmd/Ctrl + K to focus search
+    if (e.key === 'Escape') {
+        hideSymbolTooltip();
+    }
+
+    // Cmd/Ctrl + K to open the command palette
     if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
         e.preventDefault();
-        if (window.innerWidth <= 768) {
-            toggleMobileSearch();
+        if (commandPalette.classList.contains('active')) {
+            closeCommandPalette();
         } else {
-            searchInput.focus();
+            openCommandPalette();
         }
     }
     
+    // [ and ] step through the pages in reading order
+    if ((e.key === '[' || e.key === ']') && !e.metaKey && !e.ctrlKey && !e.altKey && !isTypingTarget(e.target)) {
+        e.preventDefault();
+        goToAdjacentPage(e.key === '[' ? 'previous' : 'next');
+    }
+    
     // Escape to close search
     if (e.key === 'Escape') {
-        searchResults.classList.remove('active');
+        closeCommandPalette();
+        closeExportDialog();
+        setComboboxExpanded(searchInput, searchResults, false);
         document.getElementById('mobileSearchOverlay').classList.remove('active');
         searchInput.blur();
         mobileSearchInput.blur();
     }
-});
\ No newline at end of file
+});
+
+// ===========================
+// OFFLINE SUPPORT
+// ===========================
+
+// A newer service worker waiting to take over, if any
+let waitingServiceWorker = null;
+let reloadOnControllerChange = false;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+        return;
+    }
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateToast(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateToast(worker);
+                }
+            });
+        });
+    }).catch(error => {
+        console.warn('Offline support unavailable:', error);
+    });
+
+    // Sent when a cached page or file turned out to have changed on the server
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'content-updated') {
+            showUpdateToast();
+        }
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadOnControllerChange) {
+            reloadOnControllerChange = false;
+            window.location.reload();
+        }
+    });
+}
+
+function showUpdateToast(worker = null) {
+    if (worker) {
+        waitingServiceWorker = worker;
+    }
+    document.getElementById('updateToast').classList.add('visible');
+}
+
+function dismissUpdateToast() {
+    document.getElementById('updateToast').classList.remove('visible');
+}
+
+// Reload onto the new content, letting a waiting service worker take over first
+function applyUpdate() {
+    dismissUpdateToast();
+    if (waitingServiceWorker) {
+        reloadOnControllerChange = true;
+        waitingServiceWorker.postMessage({ type: 'skip-waiting' });
+    } else {
+        window.location.reload();
+    }
+}
+
+window.addEventListener('load', registerServiceWorker);
+
+// ===========================
+// PRINT AND EXPORT
+// ===========================
+
+const exportDialog = document.getElementById('exportDialog');
+const exportOptions = document.getElementById('exportOptions');
+let exportReturnFocus = null;
+
+// Printed links can't be followed, so while printing each link out of the
+// page gets a number and its address is listed at the end
+function addLinkFootnotes() {
+    const contentDiv = document.getElementById('content');
+    const numbers = new Map();
+
+    contentDiv.querySelectorAll('a[href]').forEach(link => {
+        if (link.closest('pre, .breadcrumbs, .page-nav, .export-toc') || link.classList.contains('heading-anchor')) return;
+
+        const href = link.getAttribute('href');
+        const { file } = parseHash(href);
+        if (href.startsWith('#') && !file.endsWith('.md') && !isStdLibRoute(file)) return;
+
+        // Relative .md links are docs pages, not files next to index.html
+        const url = /\.md(#.*)?$/.test(href) && !href.startsWith('#') && !/^[a-z]+:/i.test(href)
+            ? new URL(`#${href}`, window.location.href).href
+            : link.href;
+        if (!numbers.has(url)) {
+            numbers.set(url, numbers.size + 1);
+        }
+        const ref = document.createElement('sup');
+        ref.className = 'print-footnote-ref';
+        ref.textContent = `[${numbers.get(url)}]`;
+        link.after(ref);
+    });
+
+    if (numbers.size === 0) return;
+
+    const footnotes = document.createElement('section');
+    footnotes.className = 'print-footnotes';
+    footnotes.innerHTML = '<p class="print-footnotes-title">Links</p><ol></ol>';
+    numbers.forEach((number, url) => {
+        const item = document.createElement('li');
+        item.textContent = url;
+        footnotes.querySelector('ol').appendChild(item);
+    });
+    contentDiv.appendChild(footnotes);
+}
+
+function removeLinkFootnotes() {
+    document.querySelectorAll('#content .print-footnote-ref, #content .print-footnotes').forEach(element => element.remove());
+}
+
+window.addEventListener('beforeprint', addLinkFootnotes);
+window.addEventListener('afterprint', removeLinkFootnotes);
+
+// What the Export dialog offers: the page on screen, every folder in the
+// manifest and the whole manual
+function getExportScopes() {
+    const pages = listManifestPages(docsManifest, frontMatterTitles()).filter(page => !page.hidden);
+    const count = (list) => `${list.length} page${list.length === 1 ? '' : 's'}`;
+    return [
+        { icon: 'bi-file-earmark', label: 'This page', hint: 'as shown', pages: null },
+        ...listManifestFolders(docsManifest, frontMatterTitles()).map(folder => ({ ...folder, icon: 'bi-folder', hint: count(folder.pages) })),
+        { icon: 'bi-journal-text', label: 'Entire manual', title: SITE_TITLE, hint: count(pages), pages }
+    ];
+}
+
+function openExportDialog() {
+    exportReturnFocus = document.activeElement;
+    exportOptions.innerHTML = '';
+    getExportScopes().forEach(scope => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'export-option';
+        option.innerHTML = `
+            <span class="bi ${scope.icon}" aria-hidden="true"></span>
+            <span class="export-option-label">${escapeHtml(scope.label)}</span>
+            <span class="export-option-hint">${escapeHtml(scope.hint)}</span>
+        `;
+        option.addEventListener('click', () => {
+            closeExportDialog();
+            exportDocument(scope);
+        });
+        exportOptions.appendChild(option);
+    });
+    exportDialog.classList.add('active');
+    exportOptions.querySelector('.export-option').focus();
+}
+
+function closeExportDialog() {
+    if (!exportDialog.classList.contains('active')) {
+        return;
+    }
+    exportDialog.classList.remove('active');
+    if (exportReturnFocus && exportReturnFocus.focus) {
+        exportReturnFocus.focus();
+    }
+}
+
+exportDialog.addEventListener('click', (e) => {
+    if (e.target === exportDialog) {
+        closeExportDialog();
+    }
+});
+
+// Print the page on screen, or put the pages of a scope together into one
+// document with a title page and table of contents and print that; the
+// browser's print dialog can save it as a PDF
+async function exportDocument(scope) {
+    if (!scope.pages) {
+        window.print();
+        return;
+    }
+
+    rememberRenderedPage();
+    const contentDiv = document.getElementById('content');
+    contentDiv.innerHTML = '<div class="loading">Preparing export...</div>';
+    // Nothing in the views is on screen now; selecting any page loads it
+    currentDocFile = null;
+    currentStdLibFile = null;
+
+    try {
+        const pages = await Promise.all(scope.pages.map(async page => ({
+            file: page.file,
+            body: readPageMetadata(await fetchDocument(documentUrl(page.file))).body
+        })));
+        parseAndRenderMarkdown(combinePages(marked, pages));
+        addExportCover(contentDiv, scope.title);
+        updateDocumentMeta({ title: scope.title }, contentDiv);
+        window.scrollTo({ top: 0 });
+        window.print();
+    } catch (error) {
+        contentDiv.innerHTML = `<div class="error">${escapeHtml(error.message)}</div>`;
+        buildPageToc(null);
+    }
+}
+
+// Title page and table of contents (the pages and their sections) for an
+// exported document
+function addExportCover(container, title) {
+    const cover = document.createElement('header');
+    cover.className = 'export-cover';
+    cover.innerHTML = `
+        <h1>${escapeHtml(title)}</h1>
+        <p class="export-cover-subtitle">${escapeHtml(SITE_TITLE)} · ${escapeHtml(new Date().toLocaleDateString())}</p>
+        <nav class="export-toc" aria-label="Contents">
+            <p class="export-toc-title">Contents</p>
+            <ol></ol>
+        </nav>
+    `;
+
+    const list = cover.querySelector('ol');
+    let pageItem = null;
+    container.querySelectorAll('h2[id], h3[id]').forEach(heading => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${heading.id}`;
+        link.textContent = heading.textContent;
+        item.appendChild(link);
+
+        if (heading.tagName === 'H2' || !pageItem) {
+            list.appendChild(item);
+            pageItem = item;
+        } else {
+            let sections = pageItem.querySelector('ol');
+            if (!sections) {
+                sections = document.createElement('ol');
+                pageItem.appendChild(sections);
+            }
+            sections.appendChild(item);
+        }
+    });
+
+    container.prepend(cover);
+}
+
+// ===========================
+// PAGE CONTROLS
+// ===========================
+
+// The buttons in index.html name their action in data-action; the
+// Content-Security-Policy doesn't allow inline onclick handlers. Registered
+// last, after the handlers that close overlays on outside clicks.
+const PAGE_ACTIONS = {
+    'show-docs': () => showDocs(),
+    'show-stdlib': () => showStdLib(),
+    'toggle-mobile-search': toggleMobileSearch,
+    'toggle-sidebar': toggleSidebar,
+    'toggle-theme': toggleTheme,
+    'toggle-page-toc': togglePageToc,
+    'apply-update': applyUpdate,
+    'dismiss-update': dismissUpdateToast,
+    'scroll-top': () => window.scrollTo({ top: 0, behavior: 'smooth' }),
+    'open-export': openExportDialog,
+    'close-export': closeExportDialog
+};
+
+document.addEventListener('click', (e) => {
+    const control = e.target.closest('[data-action]');
+    if (control && PAGE_ACTIONS[control.dataset.action]) {
+        PAGE_ACTIONS[control.dataset.action]();
+    }
+});
@@ -0,0 +1,586 @@
+// Search indexing rules shared by the browser and tools/build-search-index.js.
+// In the browser these helpers become globals; under Node they are exported.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./markdown'), require('./docs-manifest'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ slugify, createSlugger, stripTags, codeBlockId, parseFrontMatter, parseFenceInfo, splitDiffMarkers, copyableCode }, { listManifestFiles }) {
+    // Bump whenever the entry format or extraction rules change so that
+    // clients ignore search-index.json files written by an older build.
+    const SEARCH_INDEX_VERSION = 6;
+
+    // 32-bit FNV-1a. Not cryptographic, but stable across Node and browsers
+    // and good enough to tell whether a document changed.
+    function hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    function hashManifest(manifest) {
+        return hashString(JSON.stringify(manifest));
+    }
+
+    const PAGE_STATUSES = ['experimental', 'unsupported'];
+
+    // Split a page into its front matter, reduced to the fields the site uses,
+    // and the markdown body. Tags are lower-cased so `tag:` filters match
+    // regardless of how a page spells them.
+    function readPageMetadata(markdown) {
+        const { data, body } = parseFrontMatter(markdown);
+        const tags = Array.isArray(data.tags) ? data.tags : (typeof data.tags === 'string' ? data.tags.split(',') : []);
+        const metadata = {
+            title: typeof data.title === 'string' ? data.title : null,
+            description: typeof data.description === 'string' ? data.description : null,
+            tags: tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean),
+            status: PAGE_STATUSES.includes(data.status) ? data.status : null
+        };
+        return { metadata, body };
+    }
+
+    function hasPageMetadata(metadata) {
+        return Boolean(metadata.title || metadata.description || metadata.status || metadata.tags.length > 0);
+    }
+
+    function hasKeywords(text) {
+        const keywords = ['const', 'let', 'fn', 'struct', 'enum', 'loop', 'if', 'return',
+                         'alloc', 'free', 'defer', 'cast', 'sizeof', 'pub', 'priv'];
+        const lowerText = text.toLowerCase();
+        return keywords.some(kw => lowerText.includes(kw));
+    }
+
+    // Plain text of a block token, roughly what textContent gives for its HTML
+    function tokenText(token, marked) {
+        if (token.type === 'code') {
+            return token.text;
+        }
+        const html = token.type === 'paragraph' || token.type === 'heading'
+            ? marked.Parser.parseInline(token.tokens)
+            : marked.Parser.parse([token]);
+        return stripTags(html.replace(/<br\s*\/?>/g, '\n'));
+    }
+
+    // Extract searchable entries from one markdown document. Heading ids are
+    // assigned in document order with the same slugger the renderer uses, so
+    // they match the ids on the rendered page.
+    function extractSearchEntries(markdown, file, marked) {
+        const { metadata, body } = readPageMetadata(markdown);
+        const pageTitle = metadata.title || file.replace('.md', '');
+        const slug = createSlugger();
+        const headings = [];
+        const paragraphs = [];
+        const codeBlocks = [];
+        let previousHeading = null;
+        let codeBlockCount = 0;
+
+        const visit = (tokens) => {
+            tokens.forEach((token, index) => {
+                if (token.type === 'heading') {
+                    const title = tokenText(token, marked);
+                    const id = slug(title);
+                    if (token.depth > 4) {
+                        return;
+                    }
+
+                    const next = tokens.slice(index + 1).find(t => t.type !== 'space');
+                    headings.push({
+                        title: title,
+                        id: id,
+                        file: file,
+                        type: 'heading',
+                        level: `h${token.depth}`,
+                        content: next ? tokenText(next, marked) : ''
+                    });
+                    previousHeading = { title, id };
+                } else if (token.type === 'paragraph') {
+                    const text = tokenText(token, marked);
+                    if (text.length > 100 || hasKeywords(text)) {
+                        paragraphs.push({
+                            title: previousHeading ? previousHeading.title : pageTitle,
+                            id: previousHeading ? previousHeading.id : '',
+                            file: file,
+                            type: 'content',
+                            content: text
+                        });
+                    }
+                } else if (token.type === 'code') {
+                    // Every block is counted so ids line up with the rendered
+                    // page, but only Luma examples are indexed
+                    const id = codeBlockId(++codeBlockCount);
+                    const fence = parseFenceInfo(token.lang);
+                    if (fence.lang === 'luma' || fence.lang === 'lx') {
+                        // Diff fences are indexed as the code they end up with
+                        const diff = fence.diff ? splitDiffMarkers(token.text) : null;
+                        codeBlocks.push({
+                            title: previousHeading ? previousHeading.title : pageTitle,
+                            id: id,
+                            file: file,
+                            type: 'code',
+                            content: diff ? copyableCode(diff.code, fence.lang, diff.markers) : token.text
+                        });
+                    }
+                } else if (token.type === 'blockquote' || token.type === 'admonition' || token.type === 'codeGroup') {
+                    visit(token.tokens);
+                } else if (token.type === 'list') {
+                    token.items.forEach(item => visit(item.tokens));
+                }
+            });
+        };
+
+        // The description is searchable like the page's opening paragraph
+        if (metadata.description) {
+            paragraphs.unshift({ title: pageTitle, id: '', file: file, type: 'content', content: metadata.description });
+        }
+
+        visit(marked.lexer(body));
+        const entries = headings.concat(paragraphs, codeBlocks);
+        return metadata.tags.length > 0 ? entries.map(entry => ({ ...entry, tags: metadata.tags })) : entries;
+    }
+
+    // Build the serialisable index for a set of documents ({ path: markdown })
+    function createSearchIndex(manifest, documents, marked) {
+        const files = {};
+        const pages = {};
+        let entries = [];
+
+        listManifestFiles(manifest).forEach(file => {
+            if (!(file in documents)) {
+                return;
+            }
+            files[file] = hashString(documents[file]);
+            entries = entries.concat(extractSearchEntries(documents[file], file, marked));
+
+            const { metadata } = readPageMetadata(documents[file]);
+            if (hasPageMetadata(metadata)) {
+                pages[file] = metadata;
+            }
+        });
+
+        return {
+            version: SEARCH_INDEX_VERSION,
+            manifestHash: hashManifest(manifest),
+            contentHash: hashString(Object.values(files).join('')),
+            files: files,
+            pages: pages,
+            entries: entries
+        };
+    }
+
+    // A prebuilt index is only usable if it was written by a compatible build
+    // for the manifest currently being served, from the same page contents.
+    // `documents` ({ file: markdown }) are the pages at hand; pages not in it
+    // aren't compared, so the check can run before every page is fetched.
+    function isSearchIndexCurrent(index, manifest, documents = {}) {
+        return Boolean(index) &&
+            index.version === SEARCH_INDEX_VERSION &&
+            index.manifestHash === hashManifest(manifest) &&
+            Array.isArray(index.entries) &&
+            Boolean(index.files) &&
+            Object.keys(documents).every(file => index.files[file] === hashString(documents[file]));
+    }
+
+    // Pages of `documents` whose contents differ from those `index` was built from
+    function changedSearchDocuments(index, documents) {
+        return Object.keys(documents).filter(file => (index.files || {})[file] !== hashString(documents[file]));
+    }
+
+    // ---------------------------------------------------------------
+    // Full-text search: tokenizer, stemmer and a BM25 inverted index
+    // ---------------------------------------------------------------
+
+    const STOP_WORDS = new Set([
+        'a', 'an', 'and', 'are', 'be', 'by', 'for', 'how', 'is', 'it',
+        'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with'
+    ]);
+
+    // Field weights and BM25 parameters
+    const TITLE_WEIGHT = 3;
+    const BM25_K1 = 1.2;
+    const BM25_B = 0.75;
+
+    // How much a non-exact match of a query term is worth
+    const PREFIX_MATCH_WEIGHT = 0.6;
+    const FUZZY_MATCH_WEIGHT = [1, 0.5, 0.3];
+
+    // Identifiers as they appear in Luma code: distance_to, Status::Active,
+    // cast<int>, #returns_ownership, @module
+    const IDENTIFIER_PATTERN = /[#@]?[\p{L}\p{N}_]+(?:::[\p{L}\p{N}_]+)*(?:<[\p{L}\p{N}_*,]+>)?/gu;
+    const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+    // Split text into search terms. Compound identifiers are kept whole (so an
+    // exact identifier match scores highest) and also split into their words.
+    function tokenize(text) {
+        const tokens = [];
+        (text.toLowerCase().match(IDENTIFIER_PATTERN) || []).forEach(identifier => {
+            const words = identifier.match(WORD_PATTERN) || [];
+            if (words.length > 1 || identifier !== words[0]) {
+                tokens.push(identifier);
+            }
+            words.forEach(word => {
+                if (!STOP_WORDS.has(word)) {
+                    tokens.push(word);
+                }
+            });
+        });
+        return tokens;
+    }
+
+    // A small suffix-stripping stemmer in the spirit of Porter's. It only has
+    // to be consistent (queries and documents go through the same rules), so
+    // it favours merging related forms: defer/defers/deferred/deferring,
+    // allocate/allocation/allocating, monomorphisation/monomorphization.
+    function stem(word) {
+        if (word.length <= 3 || !/^\p{L}+$/u.test(word)) {
+            return word;
+        }
+
+        // British spellings
+        word = word.replace(/is(e|ed|es|ing|ation|ations)$/, 'iz$1');
+
+        // Plurals
+        if (word.endsWith('sses')) {
+            word = word.slice(0, -2);
+        } else if (word.endsWith('ies') && word.length > 4) {
+            word = word.slice(0, -3) + 'y';
+        } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+            word = word.slice(0, -1);
+        }
+
+        const derivational = [
+            ['ization', 'ize'], ['ational', 'ate'], ['ation', 'ate'],
+            ['ement', ''], ['ment', ''], ['ness', ''], ['ally', 'al'], ['ly', '']
+        ];
+        const suffix = derivational.find(([ending]) => word.endsWith(ending) && word.length - ending.length >= 3);
+        if (suffix) {
+            word = word.slice(0, -suffix[0].length) + suffix[1];
+        } else {
+            // Verb endings, e.g. "deferred" -> "defer", "allocating" -> "allocat"
+            const verb = word.match(/^(.+?)(ed|ing)$/);
+            if (verb && verb[1].length >= 3 && /[aeiouy]/.test(verb[1])) {
+                word = verb[1].replace(/([^aeiouylsz])\1$/, '$1');
+            }
+        }
+
+        // "type"/"typed" and "compile"/"compiled" share a stem
+        if (word.length > 3 && word.endsWith('e')) {
+            word = word.slice(0, -1);
+        }
+        return word;
+    }
+
+    // Optimal string alignment distance, giving up once it exceeds `max`
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1);
+                }
+                row.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) {
+                return max + 1;
+            }
+            prevPrev = prev;
+            prev = row;
+        }
+        return prev[b.length];
+    }
+
+    function maxTypos(term) {
+        if (term.length >= 7) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    const SEARCH_FILTERS = ['in', 'type', 'source', 'tag'];
+
+    // Parse the search box syntax:
+    //   "exact phrase"   entries must contain the phrase
+    //   -term -"phrase"  entries must not contain the term or phrase
+    //   in:<folder>      only pages under a folder of docs/ (in:advanced-topics);
+    //                    nested folders take their path (in:guide/tools)
+    //   type:<type>      heading, content or code (comma-separate for several)
+    //   source:<source>  docs or stdlib
+    //   tag:<tag>        pages with a front-matter tag
+    // Everything else is free text. `clauses` keeps the raw text of each
+    // operator so the UI can show and remove them individually.
+    function parseSearchQuery(query) {
+        const parsed = {
+            text: '',
+            phrases: [],
+            excludeTerms: [],
+            excludePhrases: [],
+            filters: { in: [], type: [], source: [], tag: [] },
+            clauses: []
+        };
+        const words = [];
+        const pattern = /(-?)(?:(in|type|source|tag):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            const [raw, negate, key, phrase, word] = match;
+            if (!raw) {
+                pattern.lastIndex++;
+                continue;
+            }
+            const value = (phrase !== undefined ? phrase : word).trim();
+
+            if (key) {
+                const filter = key.toLowerCase();
+                const values = value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+                if (values.length > 0) {
+                    parsed.filters[filter].push(...values);
+                    parsed.clauses.push({ kind: 'filter', key: filter, value: values.join(','), raw });
+                }
+            } else if (negate && phrase !== undefined) {
+                if (value) {
+                    parsed.excludePhrases.push(value.toLowerCase());
+                    parsed.clauses.push({ kind: 'exclude', value, raw });
+                }
+            } else if (negate && value) {
+                if (tokenize(value).length > 0) {
+                    parsed.excludeTerms.push(value);
+                    parsed.clauses.push({ kind: 'exclude', value, raw });
+                }
+            } else if (phrase !== undefined) {
+                if (value) {
+                    parsed.phrases.push(value.toLowerCase());
+                    parsed.clauses.push({ kind: 'phrase', value, raw });
+                }
+            } else if (value) {
+                words.push(value);
+            }
+        }
+
+        parsed.text = words.join(' ');
+        return parsed;
+    }
+
+    // The part of a parsed query that is scored (free text and phrases)
+    function searchQueryText(parsed) {
+        return [parsed.text, ...parsed.phrases].join(' ').trim();
+    }
+
+    function normalizeForPhrase(text) {
+        return text.toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    // Whether a page is under the folder path given to in:, comparing each
+    // segment by slug, so in:Advanced-Topics matches advanced-topics/
+    function isInFolder(file, value) {
+        const folders = file.split('/').slice(0, -1);
+        const wanted = value.split('/').filter(Boolean).map(slugify);
+        return wanted.length > 0 && wanted.length <= folders.length &&
+            wanted.every((segment, i) => segment === slugify(folders[i]));
+    }
+
+    function matchesSearchFilters(item, filters) {
+        const source = item.source || 'docs';
+
+        if (filters.in.length > 0 && !filters.in.some(value => isInFolder(item.file, value))) {
+            return false;
+        }
+        if (filters.type.length > 0 && !filters.type.includes(item.type)) {
+            return false;
+        }
+        if (filters.source.length > 0 && !filters.source.includes(source)) {
+            return false;
+        }
+        if (filters.tag.length > 0 && !filters.tag.some(tag => (item.tags || []).includes(tag))) {
+            return false;
+        }
+        return true;
+    }
+
+    // Build an inverted index over search entries. Titles and content are
+    // scored as one BM25 document with the title counted TITLE_WEIGHT times.
+    function createSearchEngine(entries) {
+        const postings = new Map();
+        const lengths = [];
+
+        entries.forEach((entry, docId) => {
+            const counts = new Map();
+            const add = (text, weight) => {
+                tokenize(text).forEach(word => {
+                    const term = stem(word);
+                    counts.set(term, (counts.get(term) || 0) + weight);
+                });
+            };
+            add(entry.title, TITLE_WEIGHT);
+            add(entry.content, 1);
+
+            let length = 0;
+            counts.forEach((tf, term) => {
+                if (!postings.has(term)) {
+                    postings.set(term, new Map());
+                }
+                postings.get(term).set(docId, tf);
+                length += tf;
+            });
+            lengths.push(length);
+        });
+
+        const docCount = entries.length;
+        const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (docCount || 1);
+        const vocabulary = Array.from(postings.keys()).sort();
+
+        const idf = (term) => {
+            const df = postings.get(term).size;
+            return Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+        };
+
+        // Index terms a query word can match, each with a match weight
+        const expandTerm = (word) => {
+            const exact = stem(word);
+            const matches = new Map();
+            const consider = (term, weight) => {
+                if (weight > (matches.get(term) || 0)) {
+                    matches.set(term, weight);
+                }
+            };
+
+            if (postings.has(exact)) {
+                consider(exact, 1);
+            }
+
+            // Prefix matches let partially typed words find results
+            vocabulary.forEach(term => {
+                if (term !== exact && (term.startsWith(word) || term.startsWith(exact))) {
+                    consider(term, PREFIX_MATCH_WEIGHT);
+                }
+            });
+
+            // Typo tolerance
+            const max = maxTypos(exact);
+            if (max > 0) {
+                vocabulary.forEach(term => {
+                    if (Math.abs(term.length - exact.length) > max) return;
+                    const distance = editDistance(exact, term, max);
+                    if (distance > 0 && distance <= max) {
+                        consider(term, FUZZY_MATCH_WEIGHT[distance]);
+                    }
+                });
+            }
+
+            return matches;
+        };
+
+        // `query` is either the raw search box text or the result of
+        // parseSearchQuery()
+        function search(query, limit = 10) {
+            const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+            const text = searchQueryText(parsed);
+            const words = Array.from(new Set(tokenize(text)));
+            if (words.length === 0) {
+                return [];
+            }
+
+            // Entries containing an excluded term (compared by stem)
+            const excluded = new Set();
+            parsed.excludeTerms.forEach(value => {
+                const term = stem(tokenize(value)[0]);
+                (postings.get(term) || new Map()).forEach((tf, docId) => excluded.add(docId));
+            });
+
+            const scores = new Map();
+            const matched = new Map();
+
+            words.forEach((word, wordIndex) => {
+                // Best contribution of this query word to each entry
+                const best = new Map();
+                expandTerm(word).forEach((weight, term) => {
+                    const termIdf = idf(term);
+                    postings.get(term).forEach((tf, docId) => {
+                        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * lengths[docId] / averageLength);
+                        const score = weight * termIdf * (tf * (BM25_K1 + 1)) / norm;
+                        const current = best.get(docId);
+                        if (!current || score > current.score) {
+                            best.set(docId, { score, term });
+                        }
+                    });
+                });
+
+                best.forEach(({ score, term }, docId) => {
+                    scores.set(docId, (scores.get(docId) || 0) + score);
+                    if (!matched.has(docId)) {
+                        matched.set(docId, { words: new Set(), terms: new Set() });
+                    }
+                    matched.get(docId).words.add(wordIndex);
+                    matched.get(docId).terms.add(term);
+                });
+            });
+
+            const lowerQuery = text.toLowerCase();
+
+            return Array.from(scores.entries())
+                .filter(([docId]) => {
+                    const item = entries[docId];
+                    if (excluded.has(docId) || !matchesSearchFilters(item, parsed.filters)) {
+                        return false;
+                    }
+                    const haystack = normalizeForPhrase(`${item.title}\n${item.content}`);
+                    return parsed.phrases.every(phrase => haystack.includes(normalizeForPhrase(phrase))) &&
+                        !parsed.excludePhrases.some(phrase => haystack.includes(normalizeForPhrase(phrase)));
+                })
+                .map(([docId, score]) => {
+                    const item = entries[docId];
+                    const { words: matchedWords, terms } = matched.get(docId);
+
+                    // Prefer entries that match every query word
+                    score *= matchedWords.size / words.length;
+
+                    // Exact phrase and heading bonuses
+                    if (item.title.toLowerCase().includes(lowerQuery)) {
+                        score *= 1.5;
+                    } else if (item.content.toLowerCase().includes(lowerQuery)) {
+                        score *= 1.2;
+                    }
+                    if (item.type === 'heading') {
+                        score *= item.level === 'h1' ? 1.2 : item.level === 'h2' ? 1.1 : 1.05;
+                    }
+
+                    return { ...item, score, terms: Array.from(terms) };
+                })
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit);
+        }
+
+        return { search };
+    }
+
+    return {
+        SEARCH_INDEX_VERSION,
+        hashString,
+        hashManifest,
+        readPageMetadata,
+        hasKeywords,
+        extractSearchEntries,
+        createSearchIndex,
+        isSearchIndexCurrent,
+        changedSearchDocuments,
+        IDENTIFIER_PATTERN,
+        WORD_PATTERN,
+        tokenize,
+        stem,
+        editDistance,
+        parseSearchQuery,
+        searchQueryText,
+        createSearchEngine
+    };
+});
@@ -0,0 +1,22 @@
+// Web Worker that turns markdown into search entries, so indexing every page
+// doesn't hold up scrolling and typing. It runs the same search-core.js code
+// the page falls back to when workers aren't available.
+//
+// Receives { id, file, markdown } and answers { id, metadata, entries }, or
+// { id, error } when the page couldn't be indexed.
+importScripts('vendor/marked/marked.min.js', 'markdown.js', 'docs-manifest.js', 'search-core.js');
+
+configureMarked(marked);
+
+self.addEventListener('message', (event) => {
+    const { id, file, markdown } = event.data;
+    try {
+        self.postMessage({
+            id: id,
+            metadata: readPageMetadata(markdown).metadata,
+            entries: extractSearchEntries(markdown, file, marked)
+        });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message });
+    }
+});
@@ -0,0 +1,138 @@
+// Where the Standard Library docs come from. Shared by the browser and
+// tools/sync-stdlib.js; configured by the "stdlib" section of config.json.
+//
+//   source: "github"  list files through the GitHub contents API
+//   source: "url"     read an index file (manifest.json) under any base URL
+//   source: "local"   read the mirror written by `npm run sync:stdlib`
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_STDLIB_CONFIG = {
+        source: 'github',
+        github: {
+            repo: 'Luma-Programming-Language/Luma-std',
+            path: 'docs',
+            ref: null,
+            apiUrl: 'https://api.github.com'
+        },
+        url: {
+            baseUrl: null,
+            index: 'manifest.json'
+        },
+        local: {
+            path: 'stdlib',
+            index: 'manifest.json'
+        }
+    };
+
+    const EXCLUDED_FILES = ['README.md', 'main.md'];
+
+    function isStdLibDoc(name) {
+        return name.endsWith('.md') && !EXCLUDED_FILES.includes(name);
+    }
+
+    // Fill in defaults for anything config.json leaves out
+    function resolveStdLibConfig(config = {}) {
+        const stdlib = config.stdlib || {};
+        return {
+            source: stdlib.source || DEFAULT_STDLIB_CONFIG.source,
+            github: { ...DEFAULT_STDLIB_CONFIG.github, ...stdlib.github },
+            url: { ...DEFAULT_STDLIB_CONFIG.url, ...stdlib.url },
+            local: { ...DEFAULT_STDLIB_CONFIG.local, ...stdlib.local }
+        };
+    }
+
+    function withTrailingSlash(url) {
+        return url.endsWith('/') ? url : `${url}/`;
+    }
+
+    // URL of the file listing for the configured source. Local paths are
+    // relative to the site root.
+    function stdLibListingUrl(stdlib) {
+        switch (stdlib.source) {
+            case 'github': {
+                const { apiUrl, repo, path, ref } = stdlib.github;
+                const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+                return `${apiUrl.replace(/\/$/, '')}/repos/${repo}/contents/${path}${query}`;
+            }
+            case 'url':
+                if (!stdlib.url.baseUrl) {
+                    throw new Error('config.json sets stdlib.source to "url" but has no stdlib.url.baseUrl');
+                }
+                return withTrailingSlash(stdlib.url.baseUrl) + stdlib.url.index;
+            case 'local':
+                return withTrailingSlash(stdlib.local.path) + stdlib.local.index;
+            default:
+                throw new Error(`Unknown stdlib source "${stdlib.source}" in config.json (expected github, url or local)`);
+        }
+    }
+
+    // Normalise a listing into [{ name, sha, download_url }]. GitHub returns
+    // its contents API format; index files are either an array of file names
+    // or { files: [{ name, sha }] } as written by tools/sync-stdlib.js.
+    // `listingUrl` must be absolute so relative file paths can be resolved.
+    function parseStdLibListing(stdlib, listingUrl, data) {
+        if (stdlib.source === 'github') {
+            return data
+                .filter(file => file.type !== 'dir' && isStdLibDoc(file.name))
+                .map(file => ({ name: file.name, sha: file.sha, download_url: file.download_url }));
+        }
+
+        const files = Array.isArray(data) ? data : (data.files || []);
+        return files
+            .map(file => typeof file === 'string' ? { name: file } : file)
+            .filter(file => isStdLibDoc(file.name))
+            .map(file => ({
+                name: file.name,
+                sha: file.sha || null,
+                download_url: file.download_url || new URL(file.path || file.name, listingUrl).href
+            }));
+    }
+
+    // Origins the browser fetches the listing and pages from, for the
+    // connect-src of the Content-Security-Policy. GitHub's contents API
+    // serves pages from raw.githubusercontent.com; other sources are assumed
+    // to serve pages from the same origin as the listing. Local mirrors and
+    // relative base URLs are on the site's own origin and need nothing.
+    function stdLibOrigins(stdlib) {
+        let listing;
+        try {
+            listing = new URL(stdLibListingUrl(stdlib));
+        } catch (error) {
+            return [];
+        }
+        const origins = [listing.origin];
+        if (stdlib.source === 'github' && listing.origin === 'https://api.github.com') {
+            origins.push('https://raw.githubusercontent.com');
+        }
+        return origins;
+    }
+
+    // Human readable description of a source, for messages
+    function describeStdLibSource(stdlib) {
+        switch (stdlib.source) {
+            case 'github':
+                return `github.com/${stdlib.github.repo}/${stdlib.github.path}`;
+            case 'url':
+                return stdlib.url.baseUrl;
+            case 'local':
+                return `${withTrailingSlash(stdlib.local.path)} (local mirror)`;
+            default:
+                return stdlib.source;
+        }
+    }
+
+    return {
+        DEFAULT_STDLIB_CONFIG,
+        isStdLibDoc,
+        resolveStdLibConfig,
+        stdLibListingUrl,
+        parseStdLibListing,
+        stdLibOrigins,
+        describeStdLibSource
+    };
+});
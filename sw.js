@@ -0,0 +1,192 @@
+// Service worker that keeps the docs readable offline.
+//
+// Installing precaches the app shell, the vendored libraries and every page
+// listed in manifest.json (plus the local stdlib mirror when config.json
+// uses one). Same-origin requests are then served stale-while-revalidate:
+// the cached copy answers immediately and the network copy replaces it in
+// the background. When that brings back different content, open pages are
+// told so they can offer a reload. Pages not cached yet are fetched first.
+//
+// Bump CACHE_VERSION when the list of shell files changes.
+importScripts('docs-manifest.js', 'stdlib-source.js');
+
+const CACHE_VERSION = 'v5';
+const CACHE_NAME = `luma-docs-${CACHE_VERSION}`;
+const CDN_CACHE_NAME = `luma-docs-cdn-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'markdown.js',
+    'docs-manifest.js',
+    'luma-language.js',
+    'search-core.js',
+    'search-worker.js',
+    'stdlib-source.js',
+    'script.js',
+    'highlight.js',
+    'vendor/marked/marked.min.js',
+    'vendor/dompurify/purify.min.js',
+    'vendor/highlight.js/highlight.min.js',
+    'vendor/highlight.js/atom-one-dark.min.css',
+    'site.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'manifest.json',
+    'manifest.schema.json'
+];
+
+// Useful offline but not required for the site to start
+const OPTIONAL_FILES = ['config.json', 'search-index.json', 'docs.md'];
+
+// Versioned third-party assets (Bootstrap and its icon font) are cached the
+// first time the page uses them
+const CDN_HOSTS = ['cdn.jsdelivr.net'];
+
+// Always go to the network when precaching, not the browser's HTTP cache
+function fresh(url) {
+    return new Request(url, { cache: 'reload' });
+}
+
+async function readJson(cache, url) {
+    const response = await cache.match(url);
+    return response ? response.json() : null;
+}
+
+async function precacheOptional(cache, urls) {
+    await Promise.all(urls.map(url =>
+        cache.add(fresh(url)).catch(error => console.warn(`Not cached for offline use: ${url}`, error))
+    ));
+}
+
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(SHELL_FILES.map(fresh));
+    await precacheOptional(cache, OPTIONAL_FILES);
+
+    const manifest = await readJson(cache, 'manifest.json');
+    await precacheOptional(cache, listManifestFiles(manifest).map(file => `docs/${file}`));
+
+    // A remote stdlib is cached by the page itself (localStorage); only the
+    // local mirror is served from here
+    const stdlib = resolveStdLibConfig((await readJson(cache, 'config.json')) || {});
+    if (stdlib.source === 'local') {
+        try {
+            const listingUrl = new URL(stdLibListingUrl(stdlib), self.registration.scope).href;
+            await cache.add(fresh(listingUrl));
+            const files = parseStdLibListing(stdlib, listingUrl, await readJson(cache, listingUrl));
+            await precacheOptional(cache, files.map(file => file.download_url));
+        } catch (error) {
+            console.warn('Standard library mirror not cached for offline use:', error);
+        }
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [CACHE_NAME, CDN_CACHE_NAME];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('luma-docs-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page asks a waiting worker to take over once the reader agrees to reload
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+async function notifyClients(url) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'content-updated', url }));
+}
+
+async function hasChanged(cached, response) {
+    const [before, after] = await Promise.all([cached.text(), response.text()]);
+    return before !== after;
+}
+
+// A page not visited before (such as a pre-rendered type-system/Structs.html
+// from tools/build-static.js) comes from the network; the app shell stands
+// in only when the network is unavailable, and is never compared with the
+// page it stands in for
+async function networkFirstNavigation(request, cache) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const shell = await cache.match('index.html');
+        if (shell) {
+            return shell;
+        }
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (!cached && request.mode === 'navigate') {
+        return networkFirstNavigation(request, cache);
+    }
+
+    const previous = cached ? cached.clone() : null;
+    const network = fetch(request).then(async (response) => {
+        if (response.ok && response.type === 'basic') {
+            const changed = previous && await hasChanged(previous, response.clone());
+            await cache.put(request, response.clone());
+            if (changed) {
+                await notifyClients(request.url);
+            }
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CDN_CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+    // Anything else (the GitHub API for the stdlib) goes straight to the network
+});
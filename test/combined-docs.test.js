@@ -0,0 +1,69 @@
+// The documents the Export action prints and tools/build-docs-md.js writes
+// to docs.md: the pages of a manifest folder, or of the whole manual, put
+// together by combinePages. Checked against the real docs/ and manifest.json.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+const { configureMarked, combinePages } = require('../markdown');
+const { listManifestPages, listManifestFolders } = require('../docs-manifest');
+const { readPageMetadata } = require('../search-core');
+
+const ROOT = path.resolve(__dirname, '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+const allFiles = new Set(listManifestPages(manifest).map(page => page.file));
+
+configureMarked(marked);
+
+function combine(pages) {
+    return combinePages(marked, pages.map(page => ({
+        file: page.file,
+        body: readPageMetadata(fs.readFileSync(path.join(ROOT, 'docs', page.file), 'utf8')).body
+    })));
+}
+
+// Every in-page link goes to an id on the combined page, and every link to
+// a page goes to one outside it
+function assertLinksResolve(markdown, pages) {
+    const html = marked.parse(markdown);
+    const ids = new Set(Array.from(html.matchAll(/\sid="([^"]*)"/g), match => match[1]));
+    const included = new Set(pages.map(page => page.file));
+
+    Array.from(html.matchAll(/\shref="#([^"]*)"/g), match => match[1]).forEach(href => {
+        const route = href.match(/^(.+?\.md)(?:#.*)?$/);
+        if (route) {
+            assert.ok(allFiles.has(route[1]), `#${href} links to a page that isn't in manifest.json`);
+            assert.ok(!included.has(route[1]), `#${href} links to an included page instead of its heading`);
+        } else if (!href.startsWith('stdlib')) {
+            assert.ok(ids.has(decodeURIComponent(href)), `#${href} has no target`);
+        }
+    });
+    return html;
+}
+
+describe('combined documents', () => {
+    const visiblePages = listManifestPages(manifest).filter(page => !page.hidden);
+
+    for (const folder of listManifestFolders(manifest)) {
+        it(`folder ${folder.label}`, () => {
+            const markdown = combine(folder.pages);
+            const html = assertLinksResolve(markdown, folder.pages);
+            assert.doesNotMatch(html, /<h1[\s>]/, 'page titles move down to h2');
+            assert.ok((html.match(/<h2[\s>]/g) || []).length >= folder.pages.length, 'each page starts with an h2');
+        });
+    }
+
+    it('the entire manual', () => {
+        const markdown = combine(visiblePages);
+        const html = assertLinksResolve(markdown, visiblePages);
+        assert.doesNotMatch(html, /<h1[\s>]/);
+    });
+
+    it('docs.md is the entire manual', () => {
+        const docsMarkdown = fs.readFileSync(path.join(ROOT, 'docs.md'), 'utf8');
+        const body = readPageMetadata(docsMarkdown).body.replace(/^\s*<!--[\s\S]*?-->\s*/, '');
+        assert.strictEqual(body.trim(), combine(visiblePages).trim(), 'run npm run build:docs-md');
+    });
+});
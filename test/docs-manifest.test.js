@@ -0,0 +1,88 @@
+// Unit tests for reading manifest.json (docs-manifest.js).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { listManifestFolders, validateManifest } = require('../docs-manifest');
+
+const ROOT = path.resolve(__dirname, '..');
+const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.schema.json'), 'utf8'));
+
+describe('listManifestFolders', () => {
+    const manifest = {
+        files: [
+            'Intro.md',
+            {
+                folder: 'Guide',
+                files: [
+                    'guide/Overview.md',
+                    { folder: 'Tools', files: ['guide/tools/Build.md', { file: 'guide/tools/Old.md', hidden: true }] },
+                    'guide/Setup.md'
+                ]
+            },
+            { folder: 'Drafts', hidden: true, files: ['drafts/Next.md'] },
+            { folder: 'Empty', files: [{ title: 'Site', url: 'https://example.com' }] }
+        ]
+    };
+
+    it('lists folders with visible pages in sidebar order, nested ones included', () => {
+        const folders = listManifestFolders(manifest);
+        assert.deepStrictEqual(folders.map(folder => [folder.label, folder.title]), [
+            ['Guide', 'Guide'],
+            ['Guide › Tools', 'Tools']
+        ]);
+    });
+
+    it('gives each folder its visible pages, nested ones included', () => {
+        const [guide, tools] = listManifestFolders(manifest);
+        assert.deepStrictEqual(guide.pages.map(page => page.file), ['guide/Overview.md', 'guide/tools/Build.md', 'guide/Setup.md']);
+        assert.deepStrictEqual(tools.pages.map(page => page.file), ['guide/tools/Build.md']);
+    });
+
+    it('uses page titles from front matter', () => {
+        const [guide] = listManifestFolders(manifest, { 'guide/Setup.md': 'Setting up' });
+        assert.strictEqual(guide.pages[2].title, 'Setting up');
+    });
+});
+
+describe('validateManifest', () => {
+    it('accepts manifest.json and the plain array format', () => {
+        const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+        assert.deepStrictEqual(validateManifest(manifest, schema), []);
+        assert.deepStrictEqual(validateManifest(['Intro.md', 'guide/Setup.md'], schema), []);
+    });
+
+    const cases = [
+        ['an unknown top-level key', { files: ['a.md'], extra: 1 }, [
+            'manifest: has unknown property "extra" (expected "files")'
+        ]],
+        ['an unknown page key', { files: [{ file: 'a.md', colour: 'red' }] }, [
+            'files[0]: has unknown property "colour" (expected "file", "title", "icon", "badge" or "hidden")'
+        ]],
+        ['a link that is not a URL', { files: [{ title: 'Site', url: 'not a url' }] }, [
+            'files[0].url: must be an http(s) URL, not "not a url"'
+        ]],
+        ['a link to another scheme', { files: [{ title: 'Site', url: 'javascript:alert(1)' }] }, [
+            'files[0].url: must be an http(s) URL, not "javascript:alert(1)"'
+        ]],
+        ['a hidden that is not a boolean', { files: [{ file: 'a.md', hidden: 'yes' }] }, [
+            'files[0].hidden: must be a boolean, not "yes"'
+        ]],
+        ['a folder without files', { files: [{ folder: 'Guide' }] }, [
+            'files[0]: is missing "files"'
+        ]],
+        ['a manifest without files', {}, [
+            'manifest: is missing "files"'
+        ]],
+        ['a nested page that is not markdown', { files: [{ folder: 'Guide', files: [{ file: 'guide/notes.txt' }] }] }, [
+            'files[0].files[0].file: must be a path relative to docs/ ending in .md, not "guide/notes.txt"'
+        ]]
+    ];
+
+    for (const [name, manifest, errors] of cases) {
+        it(`reports ${name}`, () => {
+            assert.deepStrictEqual(validateManifest(manifest, schema), errors);
+        });
+    }
+});
@@ -0,0 +1,106 @@
+// Runs every ```luma fence in docs/ through the highlight.js grammar and
+// compares the markup with test/snapshots/luma-grammar.snap. A fence the
+// grammar can't parse (hljs hits an illegal token and falls back to plain
+// text) always fails.
+//
+// After an intended grammar or docs change, review the diff and run
+//
+//   UPDATE_SNAPSHOTS=1 npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+const hljs = require('../vendor/highlight.js/highlight.min.js');
+const { configureMarked, codeBlockId, parseFenceInfo, splitDiffMarkers } = require('../markdown');
+const { readPageMetadata } = require('../search-core');
+const { lumaGrammar } = require('../highlight');
+
+const ROOT = path.resolve(__dirname, '..');
+const DOCS_DIR = path.join(ROOT, 'docs');
+const SNAPSHOT_FILE = path.join(__dirname, 'snapshots', 'luma-grammar.snap');
+const UPDATE = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+hljs.registerLanguage('luma', lumaGrammar);
+configureMarked(marked);
+
+function listPages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return listPages(full);
+            }
+            return entry.name.endsWith('.md') ? [path.relative(DOCS_DIR, full).split(path.sep).join('/')] : [];
+        });
+}
+
+// The Luma fences of one page as { id, code }. Ids count every code block,
+// so they match the ids on the rendered page (getting-started/Quick-Start.md#code-2).
+function lumaFences(file) {
+    const { body } = readPageMetadata(fs.readFileSync(path.join(DOCS_DIR, file), 'utf8'));
+    const fences = [];
+    let count = 0;
+    const visit = (tokens) => (tokens || []).forEach(token => {
+        if (token.type === 'code') {
+            const id = codeBlockId(++count);
+            const fence = parseFenceInfo(token.lang);
+            if (fence.lang === 'luma' || fence.lang === 'lx') {
+                fences.push({ id: `${file}#${id}`, code: fence.diff ? splitDiffMarkers(token.text).code : token.text });
+            }
+        }
+        visit(token.tokens);
+        (token.items || []).forEach(item => visit(item.tokens));
+    });
+    visit(marked.lexer(body));
+    return fences;
+}
+
+function readSnapshots() {
+    if (!fs.existsSync(SNAPSHOT_FILE)) {
+        return {};
+    }
+    const snapshots = {};
+    fs.readFileSync(SNAPSHOT_FILE, 'utf8').split(/^### /m).slice(1).forEach(section => {
+        const newline = section.indexOf('\n');
+        snapshots[section.substring(0, newline)] = section.substring(newline + 1).replace(/\n\n$/, '');
+    });
+    return snapshots;
+}
+
+function writeSnapshots(results) {
+    const text = results.map(({ id, value }) => `### ${id}\n${value}\n\n`).join('');
+    fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+    fs.writeFileSync(SNAPSHOT_FILE, text);
+}
+
+const pages = listPages(DOCS_DIR).map(file => ({ file, fences: lumaFences(file) })).filter(page => page.fences.length > 0);
+const results = pages.flatMap(page => page.fences.map(fence => ({
+    ...fence,
+    ...hljs.highlight(fence.code, { language: 'luma', ignoreIllegals: false })
+})));
+
+if (UPDATE) {
+    writeSnapshots(results.filter(result => !result.illegal));
+}
+const snapshots = readSnapshots();
+
+pages.forEach(({ file }) => {
+    describe(file, () => {
+        results.filter(result => result.id.startsWith(`${file}#`)).forEach(result => {
+            it(result.id.substring(file.length + 1), () => {
+                assert.ok(!result.illegal, `${result.id}: the grammar hit an illegal token and fell back to plain text`);
+                assert.ok(result.id in snapshots, `${result.id}: no snapshot; run UPDATE_SNAPSHOTS=1 npm test`);
+                assert.strictEqual(result.value, snapshots[result.id], `${result.id}: highlighting changed; if intended, run UPDATE_SNAPSHOTS=1 npm test`);
+            });
+        });
+    });
+});
+
+it('has no snapshots for fences that no longer exist', () => {
+    const current = new Set(results.map(result => result.id));
+    const stale = Object.keys(snapshots).filter(id => !current.has(id));
+    assert.deepStrictEqual(stale, [], 'run UPDATE_SNAPSHOTS=1 npm test to remove them');
+});
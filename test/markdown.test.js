@@ -0,0 +1,232 @@
+// Unit tests for the helpers in markdown.js shared by the site and the
+// tools: front matter, fence metadata and doc-test modes (tools/doc-tests.js), link
+// resolution (tools/check-links.js) and combining pages into one document
+// (tools/build-docs-md.js and the Export action).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { marked } = require('marked');
+const {
+    configureMarked,
+    parseFrontMatter,
+    parseFenceInfo,
+    docTestMode,
+    expectedOutput,
+    decodeLinkPart,
+    resolveDocLink,
+    combinePages
+} = require('../markdown');
+
+configureMarked(marked);
+
+// Ids of the headings in rendered markdown, in order
+function headingIds(markdown) {
+    return Array.from(marked.parse(markdown).matchAll(/<h\d id="([^"]*)"/g), match => match[1]);
+}
+
+describe('parseFrontMatter', () => {
+    const cases = [
+        ['no front matter', '# Title\n', {}, '# Title\n'],
+        ['scalars', '---\ntitle: Generics\ndescription: "Types: generic"\nweight: 3\ndraft: false\n---\n# Generics\n', {
+            title: 'Generics',
+            description: 'Types: generic',
+            weight: 3,
+            draft: false
+        }, '# Generics\n'],
+        ['inline and indented lists', '---\ntags: [types, templates]\naliases:\n  - generics\n  - templates\nempty: []\n---\nBody', {
+            tags: ['types', 'templates'],
+            aliases: ['generics', 'templates'],
+            empty: []
+        }, 'Body'],
+        ['comments, blank lines and null values', '---\n# note\n\nstatus: ~\nsource: x # trailing\n---\n', { status: null, source: 'x' }, ''],
+        ['a byte order mark, CRLF and a ... terminator', '\uFEFF---\r\ntitle: Win\r\n...\r\nBody', { title: 'Win' }, 'Body'],
+        ['an empty block', '---\n---\n# Title\n', {}, '# Title\n'],
+        ['an empty block at the end of the file', '---\n---', {}, ''],
+        ['a block of blank lines', '---\n\n---\nBody', {}, 'Body'],
+        ['a rule that is not at the start', '# Title\n\n---\n\ntitle: no\n---\n', {}, '# Title\n\n---\n\ntitle: no\n---\n'],
+        ['an unterminated block', '---\ntitle: Open\n# Title\n', {}, '---\ntitle: Open\n# Title\n']
+    ];
+
+    for (const [name, markdown, data, body] of cases) {
+        it(name, () => {
+            assert.deepStrictEqual(parseFrontMatter(markdown), { data, body });
+        });
+    }
+
+    it('does not render an empty block as a rule', () => {
+        assert.doesNotMatch(marked.parse(parseFrontMatter('---\n---\n# Title\n').body), /<hr/);
+    });
+});
+
+describe('parseFenceInfo', () => {
+    it('reads the language and defaults the rest', () => {
+        assert.deepStrictEqual(parseFenceInfo('luma'), {
+            lang: 'luma',
+            title: null,
+            highlight: [],
+            lineNumbers: false,
+            diff: false,
+            label: null,
+            test: null
+        });
+        assert.strictEqual(parseFenceInfo('').lang, '');
+        assert.strictEqual(parseFenceInfo(undefined).lang, '');
+    });
+
+    it('reads every kind of metadata', () => {
+        const fence = parseFenceInfo('diff-luma title="main.lx" {1-3, 5} showLineNumbers [Luma] no-run');
+        assert.strictEqual(fence.lang, 'luma');
+        assert.strictEqual(fence.diff, true);
+        assert.strictEqual(fence.title, 'main.lx');
+        assert.deepStrictEqual(fence.highlight, [[1, 3], [5, 5]]);
+        assert.strictEqual(fence.lineNumbers, true);
+        assert.strictEqual(fence.label, 'Luma');
+        assert.strictEqual(fence.test, 'no-run');
+    });
+
+    it('accepts single-quoted and bare titles', () => {
+        assert.strictEqual(parseFenceInfo("luma title='a b.lx'").title, 'a b.lx');
+        assert.strictEqual(parseFenceInfo('luma title=main.lx').title, 'main.lx');
+    });
+
+    for (const flag of ['no-run', 'should-fail', 'ignore']) {
+        it(`reads the ${flag} flag`, () => {
+            assert.strictEqual(parseFenceInfo(`luma ${flag}`).test, flag);
+        });
+    }
+
+    it('ignores test flags that are part of another word', () => {
+        assert.strictEqual(parseFenceInfo('luma title=no-run.lx').test, null);
+        assert.strictEqual(parseFenceInfo('luma ignored').test, null);
+    });
+});
+
+describe('docTestMode', () => {
+    const program = 'const main -> fn() int {\n    return 0;\n}\n';
+    const fragment = 'let x: int = 5;\n';
+    const mode = (info, code) => docTestMode(parseFenceInfo(info), code);
+
+    it('runs complete programs', () => {
+        assert.strictEqual(mode('luma', program), 'run');
+        assert.strictEqual(mode('lx', program), 'run');
+        assert.strictEqual(mode('luma', 'const main->fn() int { return 0; }'), 'run');
+    });
+
+    it('treats fragments as illustrative', () => {
+        assert.strictEqual(mode('luma', fragment), 'illustrative');
+        assert.strictEqual(mode('luma', 'const domain -> fn() int { return 0; }'), 'illustrative');
+    });
+
+    it('follows the fence flags', () => {
+        assert.strictEqual(mode('luma no-run', program), 'no-run');
+        assert.strictEqual(mode('luma should-fail', fragment), 'should-fail');
+        assert.strictEqual(mode('luma ignore', program), 'illustrative');
+    });
+
+    it('leaves other languages alone', () => {
+        assert.strictEqual(mode('c', program), null);
+        assert.strictEqual(mode('', program), null);
+        assert.strictEqual(mode('sh no-run', 'make'), null);
+    });
+});
+
+describe('expectedOutput', () => {
+    const cases = [
+        ['no output comment', 'outputln("hi");\n', null],
+        ['one line', 'outputln("42");\n// Output: 42\n', '42'],
+        ['several lines', '// Output:\n// Hello\n// World\nreturn 0;\n', 'Hello\nWorld'],
+        ['several lines ending at the next Output', '// Output:\n// a\n// Output: b\n', 'a\nb'],
+        ['trailing comments after statements', [
+            '    classify_day(WeekDay::Monday);   // Output: Weekday',
+            '    classify_day(WeekDay::Saturday); // Output: Weekend',
+            ''
+        ].join('\n'), 'Weekday\nWeekend'],
+        ['a marker inside a string', 'outputln("// Output: no");\n', null],
+        ['trailing whitespace', '// Output: 42   \n', '42'],
+        ['an empty Output block', '// Output:\nreturn 0;\n', '']
+    ];
+
+    for (const [name, code, expected] of cases) {
+        it(name, () => {
+            assert.strictEqual(expectedOutput(code), expected);
+        });
+    }
+});
+
+describe('decodeLinkPart', () => {
+    it('decodes percent-encoding', () => {
+        assert.strictEqual(decodeLinkPart('caf%C3%A9'), 'café');
+    });
+
+    it('keeps text that is not valid percent-encoding as written', () => {
+        assert.strictEqual(decodeLinkPart('50%-off'), '50%-off');
+        assert.strictEqual(decodeLinkPart('%E0%A4%A'), '%E0%A4%A');
+    });
+});
+
+describe('resolveDocLink', () => {
+    const page = 'type-system/Structs.md';
+    const cases = [
+        ['a page relative to docs/', 'type-system/Enums.md', { page: 'type-system/Enums.md', anchor: null }],
+        ['a page and heading', 'type-system/Enums.md#methods', { page: 'type-system/Enums.md', anchor: 'methods' }],
+        ['a route', '#type-system/Enums.md#methods', { page: 'type-system/Enums.md', anchor: 'methods' }],
+        ['an anchor on the same page', '#methods', { page, anchor: 'methods' }],
+        ['an encoded anchor', '#caf%C3%A9', { page, anchor: 'café' }],
+        ['. and .. inside docs/', './type-system/../reference/Builtins.md', { page: 'reference/Builtins.md', anchor: null }],
+        ['.. above docs/, which the site fetches from outside it', '../type-system/Enums.md', { page: '../type-system/Enums.md', anchor: null }],
+        ['another file', 'icons/icon.svg?v=2', { file: 'icons/icon.svg' }],
+        ['another site', 'https://example.com/docs.md', null],
+        ['a protocol-relative link', '//example.com/a.md', null],
+        ['a mail link', 'mailto:team@example.com', null],
+        ['a Standard Library route', '#stdlib/math#sqrt', null]
+    ];
+
+    for (const [name, href, expected] of cases) {
+        it(name, () => {
+            assert.deepStrictEqual(resolveDocLink(href, page), expected);
+        });
+    }
+});
+
+describe('combinePages', () => {
+    it('moves every heading down a level, except in code', () => {
+        const combined = combinePages(marked, [
+            { file: 'a.md', body: '# A\n\n## Part\n\n###### Deepest\n\n```sh\n# not a heading\n```\n' }
+        ]);
+        assert.strictEqual(combined, '## A\n\n### Part\n\n###### Deepest\n\n```sh\n# not a heading\n```');
+    });
+
+    it('joins pages in order', () => {
+        const combined = combinePages(marked, [
+            { file: 'a.md', body: '# A\n\nFirst.' },
+            { file: 'b.md', body: '# B\n\nSecond.' }
+        ]);
+        assert.strictEqual(combined, '## A\n\nFirst.\n\n## B\n\nSecond.');
+    });
+
+    it('turns links between the pages into links to their headings', () => {
+        const combined = combinePages(marked, [
+            { file: 'guide/A.md', body: '# A\n\nSee [B](guide/B.md), [its setup](guide/B.md#setup), [the route](#guide/B.md#setup) and [below](#usage).\n\n## Usage' },
+            { file: 'guide/B.md', body: '# B\n\n## Setup\n\nBack to [A](guide/A.md "Page A").' }
+        ]);
+        assert.match(combined, /See \[B\]\(#b\), \[its setup\]\(#setup\), \[the route\]\(#setup\) and \[below\]\(#usage\)\./);
+        assert.match(combined, /Back to \[A\]\(#a "Page A"\)\./);
+    });
+
+    it('keeps links to pages that are not included, and to other sites', () => {
+        const combined = combinePages(marked, [
+            { file: 'a.md', body: '# A\n\n[C](c.md#setup), [C again](#c.md), [site](https://example.com/x.md), [math](#stdlib/math), [icon](icons/icon.svg)' }
+        ]);
+        assert.match(combined, /\[C\]\(#c\.md#setup\), \[C again\]\(#c\.md\), \[site\]\(https:\/\/example\.com\/x\.md\), \[math\]\(#stdlib\/math\), \[icon\]\(icons\/icon\.svg\)/);
+    });
+
+    it('points links at the renamed id when headings collide across pages', () => {
+        const combined = combinePages(marked, [
+            { file: 'a.md', body: '# Overview\n\n## Examples\n\n[B examples](b.md#examples)' },
+            { file: 'b.md', body: '# Overview\n\n## Examples\n\n## Examples\n\n[second](#examples-1), [A](a.md#examples)' }
+        ]);
+        assert.deepStrictEqual(headingIds(combined), ['overview', 'examples', 'overview-1', 'examples-1', 'examples-2']);
+        assert.match(combined, /\[B examples\]\(#examples-1\)/);
+        assert.match(combined, /\[second\]\(#examples-2\), \[A\]\(#examples\)/);
+    });
+});
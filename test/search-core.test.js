@@ -0,0 +1,238 @@
+// Unit tests for the search shared by the site, the search worker and
+// tools/build-search-index.js (search-core.js).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { marked } = require('marked');
+const { configureMarked } = require('../markdown');
+const {
+    SEARCH_INDEX_VERSION,
+    createSearchIndex,
+    isSearchIndexCurrent,
+    changedSearchDocuments,
+    parseSearchQuery,
+    tokenize,
+    stem,
+    editDistance,
+    createSearchEngine
+} = require('../search-core');
+
+configureMarked(marked);
+
+describe('isSearchIndexCurrent', () => {
+    const manifest = ['a.md', 'b.md'];
+    const documents = { 'a.md': '# A\n\nAlpha.\n', 'b.md': '# B\n\nBeta.\n' };
+    const index = createSearchIndex(manifest, documents, marked);
+
+    it('accepts an index built from the same manifest and pages', () => {
+        assert.strictEqual(isSearchIndexCurrent(index, manifest), true);
+        assert.strictEqual(isSearchIndexCurrent(index, manifest, documents), true);
+        assert.strictEqual(isSearchIndexCurrent(index, manifest, { 'a.md': documents['a.md'] }), true);
+    });
+
+    it('rejects an index from another build or manifest', () => {
+        assert.strictEqual(isSearchIndexCurrent(null, manifest), false);
+        assert.strictEqual(isSearchIndexCurrent({ ...index, version: SEARCH_INDEX_VERSION - 1 }, manifest), false);
+        assert.strictEqual(isSearchIndexCurrent(index, ['a.md']), false);
+        assert.strictEqual(isSearchIndexCurrent({ ...index, entries: undefined }, manifest), false);
+    });
+
+    it('rejects an index when a page changed but the manifest did not', () => {
+        const edited = { ...documents, 'b.md': '# B\n\nBeta, edited.\n' };
+        assert.strictEqual(isSearchIndexCurrent(index, manifest, edited), false);
+        assert.deepStrictEqual(changedSearchDocuments(index, edited), ['b.md']);
+        assert.deepStrictEqual(changedSearchDocuments(index, documents), []);
+    });
+});
+
+describe('tokenize', () => {
+    it('lowercases words and drops stop words', () => {
+        assert.deepStrictEqual(tokenize('The Type of a Pointer'), ['type', 'pointer']);
+    });
+
+    it('keeps compound identifiers whole as well as their words', () => {
+        assert.deepStrictEqual(tokenize('distance_to'), ['distance_to', 'distance']);
+        assert.deepStrictEqual(tokenize('Status::Active'), ['status::active', 'status', 'active']);
+        assert.deepStrictEqual(tokenize('cast<int>'), ['cast<int>', 'cast', 'int']);
+        assert.deepStrictEqual(tokenize('@module #returns_ownership'), ['@module', 'module', '#returns_ownership', 'returns', 'ownership']);
+    });
+
+    it('handles non-ASCII letters and empty text', () => {
+        assert.deepStrictEqual(tokenize('Größe'), ['größe']);
+        assert.deepStrictEqual(tokenize(''), []);
+        assert.deepStrictEqual(tokenize('-- !!'), []);
+    });
+});
+
+describe('stem', () => {
+    const groups = [
+        ['defer', 'defers', 'deferred', 'deferring'],
+        ['allocate', 'allocation', 'allocating', 'allocates'],
+        ['monomorphisation', 'monomorphization'],
+        ['type', 'types', 'typed'],
+        ['compile', 'compiled', 'compiles'],
+        ['library', 'libraries']
+    ];
+
+    for (const group of groups) {
+        it(`merges ${group.join(', ')}`, () => {
+            const stems = new Set(group.map(stem));
+            assert.strictEqual(stems.size, 1, `stems: ${Array.from(stems).join(', ')}`);
+        });
+    }
+
+    it('leaves short words, numbers and identifiers alone', () => {
+        assert.strictEqual(stem('int'), 'int');
+        assert.strictEqual(stem('1024'), '1024');
+        assert.strictEqual(stem('distance_to'), 'distance_to');
+    });
+
+    it('keeps words ending in ss, us and is', () => {
+        assert.strictEqual(stem('class'), 'class');
+        assert.strictEqual(stem('status'), 'status');
+        assert.strictEqual(stem('basis'), 'basis');
+    });
+});
+
+describe('editDistance', () => {
+    const cases = [
+        ['struct', 'struct', 2, 0],
+        ['struct', 'strut', 2, 1],
+        ['struct', 'sturct', 2, 1],
+        ['enum', 'enums', 2, 1],
+        ['kitten', 'sitting', 3, 3],
+        ['', 'abc', 3, 3]
+    ];
+
+    for (const [a, b, max, expected] of cases) {
+        it(`${a || '""'} -> ${b} is ${expected}`, () => {
+            assert.strictEqual(editDistance(a, b, max), expected);
+            assert.strictEqual(editDistance(b, a, max), expected);
+        });
+    }
+
+    it('gives up past max', () => {
+        assert.strictEqual(editDistance('kitten', 'sitting', 1), 2);
+        assert.strictEqual(editDistance('a', 'abcdef', 2), 3);
+    });
+});
+
+describe('parseSearchQuery', () => {
+    // The parsed query for `text`, with the given fields and filters set
+    const parsed = ({ filters = {}, ...fields }) => ({
+        text: '',
+        phrases: [],
+        excludeTerms: [],
+        excludePhrases: [],
+        filters: { in: [], type: [], source: [], tag: [], ...filters },
+        clauses: [],
+        ...fields
+    });
+    const cases = [
+        ['free text', 'struct methods', parsed({ text: 'struct methods' })],
+        ['a phrase', '"exact phrase" rest', parsed({
+            text: 'rest',
+            phrases: ['exact phrase'],
+            clauses: [{ kind: 'phrase', value: 'exact phrase', raw: '"exact phrase"' }]
+        })],
+        ['an unterminated phrase', '"Named constants', parsed({
+            phrases: ['named constants'],
+            clauses: [{ kind: 'phrase', value: 'Named constants', raw: '"Named constants' }]
+        })],
+        ['an excluded term', '-defer free', parsed({
+            text: 'free',
+            excludeTerms: ['defer'],
+            clauses: [{ kind: 'exclude', value: 'defer', raw: '-defer' }]
+        })],
+        ['an excluded phrase', '-"named constants" enum', parsed({
+            text: 'enum',
+            excludePhrases: ['named constants'],
+            clauses: [{ kind: 'exclude', value: 'named constants', raw: '-"named constants"' }]
+        })],
+        ['an exclusion of only stop words', '-the enum', parsed({ text: 'enum' })],
+        ['in:', 'memory in:advanced-topics', parsed({
+            text: 'memory',
+            filters: { in: ['advanced-topics'] },
+            clauses: [{ kind: 'filter', key: 'in', value: 'advanced-topics', raw: 'in:advanced-topics' }]
+        })],
+        ['in: with a nested folder', 'in:Guide/Tools build', parsed({
+            text: 'build',
+            filters: { in: ['guide/tools'] },
+            clauses: [{ kind: 'filter', key: 'in', value: 'guide/tools', raw: 'in:Guide/Tools' }]
+        })],
+        ['type: with several values', 'TYPE:Heading,code x', parsed({
+            text: 'x',
+            filters: { type: ['heading', 'code'] },
+            clauses: [{ kind: 'filter', key: 'type', value: 'heading,code', raw: 'TYPE:Heading,code' }]
+        })],
+        ['source:', 'source:stdlib sqrt', parsed({
+            text: 'sqrt',
+            filters: { source: ['stdlib'] },
+            clauses: [{ kind: 'filter', key: 'source', value: 'stdlib', raw: 'source:stdlib' }]
+        })],
+        ['tag: with a quoted value', 'tag:"memory"', parsed({
+            filters: { tag: ['memory'] },
+            clauses: [{ kind: 'filter', key: 'tag', value: 'memory', raw: 'tag:"memory"' }]
+        })],
+        ['an operator without a value', 'in: type:', parsed({ text: 'in: type:' })],
+        ['an empty query', '   ', parsed({})]
+    ];
+
+    for (const [name, query, expected] of cases) {
+        it(name, () => {
+            assert.deepStrictEqual(parseSearchQuery(query), expected);
+        });
+    }
+});
+
+describe('createSearchEngine', () => {
+    const entry = (file, title, content, extra = {}) => ({ file, title, content, type: 'content', ...extra });
+    const entries = [
+        entry('type-system/Structs.md', 'Structures', 'Structs group fields. A struct can have methods.', { type: 'heading', level: 'h1' }),
+        entry('type-system/Enums.md', 'Enumerations', 'Enums are named constants. Use a switch over an enum.'),
+        entry('advanced-topics/Memory-Management.md', 'Defer', 'The defer statement frees memory when the scope ends. Deferred calls run in reverse.'),
+        entry('language-features/Switch.md', 'Switch', 'A switch compares a value against cases. Switch on enums, integers and characters.'),
+        entry('reference/Builtins.md', 'alloc', 'alloc reserves memory on the heap; free it with free.', { type: 'code' }),
+        entry('advanced-topics/ffi/Calling-C.md', 'Calling C', 'Pointers passed to C keep their address.')
+    ];
+    const engine = createSearchEngine(entries);
+    const files = (results) => results.map(result => result.file);
+
+    it('ranks entries with the term in the title first', () => {
+        const results = engine.search('switch');
+        assert.strictEqual(results[0].file, 'language-features/Switch.md');
+        assert.ok(files(results).includes('type-system/Enums.md'));
+    });
+
+    it('ranks entries matching every query word above partial matches', () => {
+        const results = engine.search('free memory');
+        assert.deepStrictEqual(files(results).slice(0, 2).sort(), ['advanced-topics/Memory-Management.md', 'reference/Builtins.md']);
+    });
+
+    it('matches other forms of a word, prefixes and typos', () => {
+        assert.strictEqual(engine.search('deferring')[0].file, 'advanced-topics/Memory-Management.md');
+        assert.strictEqual(engine.search('enumer')[0].file, 'type-system/Enums.md');
+        assert.strictEqual(engine.search('strutcs')[0].file, 'type-system/Structs.md');
+    });
+
+    it('applies exclusions, phrases and filters', () => {
+        assert.ok(!files(engine.search('switch -enum')).includes('type-system/Enums.md'));
+        assert.deepStrictEqual(files(engine.search('"named constants"')), ['type-system/Enums.md']);
+        assert.deepStrictEqual(files(engine.search('memory type:code')), ['reference/Builtins.md']);
+        assert.deepStrictEqual(files(engine.search('memory in:advanced-topics')), ['advanced-topics/Memory-Management.md']);
+        assert.deepStrictEqual(files(engine.search('memory in:Advanced-Topics')), ['advanced-topics/Memory-Management.md']);
+    });
+
+    it('filters by nested folders by their path', () => {
+        assert.deepStrictEqual(files(engine.search('pointers in:advanced-topics/ffi')), ['advanced-topics/ffi/Calling-C.md']);
+        assert.deepStrictEqual(files(engine.search('pointers in:advanced-topics')), ['advanced-topics/ffi/Calling-C.md']);
+        assert.deepStrictEqual(files(engine.search('pointers in:ffi')), []);
+        assert.deepStrictEqual(files(engine.search('pointers in:advanced')), []);
+    });
+
+    it('returns nothing for an empty query and respects the limit', () => {
+        assert.deepStrictEqual(engine.search(''), []);
+        assert.deepStrictEqual(engine.search('the'), []);
+        assert.strictEqual(engine.search('a switch enum memory struct', 2).length, 2);
+    });
+});
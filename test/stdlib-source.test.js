@@ -0,0 +1,36 @@
+// Unit tests for where the Standard Library docs come from (stdlib-source.js).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { resolveStdLibConfig, stdLibOrigins } = require('../stdlib-source');
+
+const ROOT = path.resolve(__dirname, '..');
+
+describe('stdLibOrigins', () => {
+    const origins = (stdlib) => stdLibOrigins(resolveStdLibConfig({ stdlib }));
+    const cases = [
+        ['the default GitHub source', {}, ['https://api.github.com', 'https://raw.githubusercontent.com']],
+        ['a custom GitHub API', { github: { apiUrl: 'https://git.example.com/api/v3/' } }, ['https://git.example.com']],
+        ['a base URL', { source: 'url', url: { baseUrl: 'https://docs.example.com:8443/std' } }, ['https://docs.example.com:8443']],
+        ['a relative base URL', { source: 'url', url: { baseUrl: 'std/' } }, []],
+        ['a url source without a base URL', { source: 'url' }, []],
+        ['the local mirror', { source: 'local' }, []]
+    ];
+
+    for (const [name, stdlib, expected] of cases) {
+        it(name, () => {
+            assert.deepStrictEqual(origins(stdlib), expected);
+        });
+    }
+
+    it('is allowed by the connect-src in index.html', () => {
+        const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        const config = JSON.parse(fs.readFileSync(path.join(ROOT, 'config.json'), 'utf8'));
+        const connectSrc = html.match(/connect-src ([^;"]*)/)[1].split(/\s+/);
+        stdLibOrigins(resolveStdLibConfig(config)).forEach(origin => {
+            assert.ok(connectSrc.includes(origin), `add ${origin} to connect-src in index.html, or run npm run build:static`);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Assemble docs.md, the whole documentation on one page, from the pages in
+// docs/ in manifest.json order. The site shows it as "All on one page" (for
+// printing and Ctrl+F); the pages in docs/ stay the source.
+//
+// Each page's headings move down one level so pages become sections, and
+// links between pages become links to the matching heading on the single
+// page (combinePages in markdown.js, which the Export action also uses).
+//
+// With --check nothing is written; the command fails if docs.md is out of
+// date, so drift can be caught before merging.
+//
+// Usage: node tools/build-docs-md.js [--check]
+
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+const { configureMarked, combinePages } = require('../markdown');
+const { listManifestPages, validateManifest } = require('../docs-manifest');
+const { readPageMetadata } = require('../search-core');
+
+const ROOT = path.resolve(__dirname, '..');
+const DOCS_DIR = path.join(ROOT, 'docs');
+const OUTPUT = path.join(ROOT, 'docs.md');
+
+const HEADER = `---
+title: All on one page
+description: The complete Luma documentation on a single page.
+---
+
+<!-- Generated by tools/build-docs-md.js from the pages in docs/. Edit those
+     pages and run \`npm run build:docs-md\` rather than editing this file. -->
+`;
+
+function buildDocsMarkdown(manifest) {
+    configureMarked(marked);
+
+    const pages = listManifestPages(manifest)
+        .filter(page => !page.hidden)
+        .filter(page => {
+            if (fs.existsSync(path.join(DOCS_DIR, page.file))) {
+                return true;
+            }
+            console.warn(`Skipping ${page.file}: not found in docs/`);
+            return false;
+        })
+        .map(page => ({ file: page.file, body: readPageMetadata(fs.readFileSync(path.join(DOCS_DIR, page.file), 'utf8')).body }));
+
+    return { markdown: `${HEADER}\n${combinePages(marked, pages)}\n`, pages: pages.length };
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.schema.json'), 'utf8'));
+
+    const errors = validateManifest(manifest, schema);
+    if (errors.length > 0) {
+        console.error('manifest.json is invalid:');
+        errors.forEach(error => console.error(`  ${error}`));
+        process.exit(1);
+    }
+
+    const { markdown: generated, pages } = buildDocsMarkdown(manifest);
+
+    if (check) {
+        const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+        if (current === generated) {
+            console.log('docs.md is up to date');
+            return;
+        }
+        const currentLines = current.split('\n');
+        const generatedLines = generated.split('\n');
+        const line = generatedLines.findIndex((text, i) => text !== currentLines[i]);
+        console.error(`docs.md is out of date with docs/ (first difference at line ${line + 1}); run npm run build:docs-md`);
+        process.exit(1);
+    }
+
+    fs.writeFileSync(OUTPUT, generated);
+    console.log(`Wrote docs.md from ${pages} pages`);
+}
+
+main();
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// Prebuild search-index.json from manifest.json so visitors don't have to
+// fetch and parse every page before search works.
+//
+// Usage: node tools/build-search-index.js [output-file]
+
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+const { configureMarked } = require('../markdown');
+const { listManifestFiles, validateManifest } = require('../docs-manifest');
+const { createSearchIndex } = require('../search-core');
+
+const ROOT = path.resolve(__dirname, '..');
+const DOCS_DIR = path.join(ROOT, 'docs');
+
+function main() {
+    const output = path.resolve(process.argv[2] || path.join(ROOT, 'search-index.json'));
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.schema.json'), 'utf8'));
+
+    const errors = validateManifest(manifest, schema);
+    if (errors.length > 0) {
+        console.error('manifest.json is invalid:');
+        errors.forEach(error => console.error(`  ${error}`));
+        process.exit(1);
+    }
+
+    configureMarked(marked);
+
+    const documents = {};
+    listManifestFiles(manifest).forEach(file => {
+        const filePath = path.join(DOCS_DIR, file);
+        if (!fs.existsSync(filePath)) {
+            console.warn(`Skipping ${file}: not found in docs/`);
+            return;
+        }
+        documents[file] = fs.readFileSync(filePath, 'utf8');
+    });
+
+    const index = createSearchIndex(manifest, documents, marked);
+    fs.writeFileSync(output, JSON.stringify(index) + '\n');
+
+    console.log(`Indexed ${Object.keys(index.files).length} files, ${index.entries.length} entries -> ${path.relative(process.cwd(), output)}`);
+}
+
+main();
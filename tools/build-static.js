@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+// Build a deployable copy of the site in which every page from manifest.json
+// is also a plain HTML file (docs/type-system/Structs.md becomes
+// type-system/Structs.html), so search engines, link previews and readers
+// without JavaScript get the content instead of "Loading documentation...".
+// The pages use the same marked setup and Luma grammar as the browser, and
+// load the usual scripts, which take over when JavaScript is available.
+//
+// sitemap.xml is written when config.json sets site.url (or --url is given).
+// The Content-Security-Policy's connect-src allows the Standard Library
+// source configured in config.json.
+//
+// Usage: node tools/build-static.js [output-dir] [--url https://example.org/docs/]
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { marked } = require('marked');
+const hljs = require('../vendor/highlight.js/highlight.min.js');
+const { configureMarked, stripTags } = require('../markdown');
+const { normalizeManifest, listManifestPages, validateManifest } = require('../docs-manifest');
+const { readPageMetadata } = require('../search-core');
+const { lumaGrammar } = require('../highlight');
+const { resolveStdLibConfig, stdLibOrigins } = require('../stdlib-source');
+
+const ROOT = path.resolve(__dirname, '..');
+const DOCS_DIR = path.join(ROOT, 'docs');
+
+// What gets deployed; keep in step with SHELL_FILES in sw.js. Missing
+// optional files (search-index.json, the stdlib mirror) are skipped.
+const SITE_FILES = [
+    'index.html',
+    'style.css',
+    'markdown.js',
+    'docs-manifest.js',
+    'luma-language.js',
+    'search-core.js',
+    'search-worker.js',
+    'stdlib-source.js',
+    'script.js',
+    'highlight.js',
+    'sw.js',
+    'site.webmanifest',
+    'manifest.json',
+    'manifest.schema.json',
+    'config.json',
+    'search-index.json',
+    'docs.md',
+    'LICENSE'
+];
+const SITE_DIRECTORIES = ['docs', 'vendor', 'icons', 'stdlib'];
+
+function parseArgs(argv) {
+    const options = { output: path.join(ROOT, 'dist'), url: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--url') {
+            options.url = argv[++i];
+        } else {
+            options.output = path.resolve(argv[i]);
+        }
+    }
+    return options;
+}
+
+function readJson(file, fallback) {
+    const filePath = path.join(ROOT, file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function unescapeHtml(html) {
+    return html
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// docs route -> output path: "type-system/Structs.md" -> "type-system/Structs.html"
+function pageOutputPath(file) {
+    return file.replace(/\.md$/, '.html');
+}
+
+// Highlight the code blocks marked renders, as hljs.highlightElement would
+// in the browser. Line numbers, highlighted lines and diff markers are left
+// to the script.
+function highlightCode(html) {
+    return html.replace(/(<pre[^>]*>)<code(?: class="language-([^"]+)")?([^>]*)>([\s\S]*?)<\/code><\/pre>/g, (match, pre, lang, attributes, code) => {
+        const text = unescapeHtml(code);
+        const result = lang && hljs.getLanguage(lang)
+            ? hljs.highlight(text, { language: lang, ignoreIllegals: true })
+            : hljs.highlightAuto(text);
+        const language = lang || result.language;
+        const className = language ? `hljs language-${language}` : 'hljs';
+        return `${pre}<code class="${className}"${attributes} data-highlighted="yes">${result.value}</code></pre>`;
+    });
+}
+
+// Links in the rendered page point at other pre-rendered pages: "#file.md#id"
+// routes, relative "other.md" links and in-page "#id" anchors. Hrefs are
+// relative to the site root, which each page sets as its <base>.
+function rewriteLinks(html, file, pageFiles) {
+    return html.replace(/href="([^"]*)"/g, (match, href) => {
+        const decoded = unescapeHtml(href);
+        if (/^[a-z]+:/i.test(decoded) || decoded.startsWith('//')) {
+            return match;
+        }
+
+        let target = null;
+        let section = '';
+        const route = decoded.match(/^#(.+?\.md)(#.*)?$/);
+        const relative = decoded.match(/^([^#]+?\.md)(#.*)?$/);
+        if (route) {
+            [, target, section = ''] = route;
+        } else if (relative) {
+            // Relative to docs/, as navigateTo reads them
+            target = path.posix.normalize(relative[1]);
+            section = relative[2] || '';
+        } else if (decoded.startsWith('#') && !decoded.startsWith('#stdlib')) {
+            target = file;
+            section = decoded;
+        }
+
+        if (!target || !pageFiles.has(target)) {
+            return match;
+        }
+        return `href="${escapeHtml(pageOutputPath(target) + section)}"`;
+    });
+}
+
+function renderSidebar(manifest, titles) {
+    const renderNodes = (nodes) => nodes.filter(node => !node.hidden).map(node => {
+        if (node.type === 'page') {
+            return `<li><a href="${escapeHtml(pageOutputPath(node.file))}"><span class="nav-label">${escapeHtml(node.title)}</span></a></li>`;
+        }
+        if (node.type === 'link') {
+            return `<li><a href="${escapeHtml(node.url)}" target="_blank" rel="noopener"><span class="nav-label">${escapeHtml(node.title)}</span></a></li>`;
+        }
+        return `<li class="nav-item open"><span class="folder-details"><span class="folder-title">${escapeHtml(node.title)}</span></span>` +
+            `<ul class="sub-menu">${renderNodes(node.children)}</ul></li>`;
+    }).join('');
+
+    return renderNodes(normalizeManifest(manifest, titles));
+}
+
+// Breadcrumbs and previous/next links, as addPageNavigation draws them
+function renderPageNavigation(page, order) {
+    const index = order.findIndex(candidate => candidate.file === page.file);
+    const crumbs = [
+        `<li><a href="${escapeHtml(pageOutputPath(order[0].file))}">Docs</a></li>`,
+        ...page.folders.map(folder => `<li>${escapeHtml(folder)}</li>`),
+        `<li aria-current="page">${escapeHtml(page.title)}</li>`
+    ];
+    const breadcrumbs = `<nav class="breadcrumbs" aria-label="Breadcrumb"><ol>${crumbs.join('')}</ol></nav>`;
+
+    const card = (other, direction) => {
+        if (!other) {
+            return '<span></span>';
+        }
+        const label = direction === 'previous' ? '← Previous' : 'Next →';
+        return `<a class="page-nav-link ${direction}" href="${escapeHtml(pageOutputPath(other.file))}">` +
+            `<span class="page-nav-label">${label}</span><span class="page-nav-title">${escapeHtml(other.title)}</span></a>`;
+    };
+    const previous = index > 0 ? order[index - 1] : null;
+    const next = index !== -1 && index < order.length - 1 ? order[index + 1] : null;
+    const pageNav = previous || next
+        ? `<nav class="page-nav" aria-label="Previous and next page">${card(previous, 'previous')}${card(next, 'next')}</nav>`
+        : '';
+
+    return { breadcrumbs, pageNav };
+}
+
+function replaceOnce(html, pattern, replacement, what) {
+    if (!pattern.test(html)) {
+        throw new Error(`index.html has no ${what}`);
+    }
+    return html.replace(pattern, replacement);
+}
+
+// Let the page fetch from the site and the Standard Library source only
+function setConnectSources(html, origins) {
+    const sources = ["'self'", ...origins].join(' ');
+    return replaceOnce(html, /(Content-Security-Policy" content="[^"]*connect-src )[^;"]*/, `$1${sources}`, 'connect-src in its Content-Security-Policy');
+}
+
+function renderPage(template, page, { content, sidebar, title, description, url }) {
+    const depth = page.file.split('/').length - 1;
+    const base = depth > 0 ? '../'.repeat(depth) : './';
+
+    let html = template;
+    html = replaceOnce(html, /(<meta charset="[^"]*">)/, `$1\n    <base href="${base}">`, 'charset meta tag');
+    html = replaceOnce(html, /<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`, '<title>');
+    html = replaceOnce(html, /(<meta name="description" content=")[^"]*(">)/, `$1${escapeHtml(description)}$2`, 'description meta tag');
+    html = replaceOnce(html, /(<meta property="og:title" content=")[^"]*(">)/, `$1${escapeHtml(page.title)}$2`, 'og:title meta tag');
+    html = replaceOnce(html, /(<meta property="og:description" content=")[^"]*(">)/, `$1${escapeHtml(description)}$2`, 'og:description meta tag');
+    if (url) {
+        html = html.replace(/(<meta property="og:description"[^>]*>)/, `$1\n    <meta property="og:url" content="${escapeHtml(url)}">\n    <link rel="canonical" href="${escapeHtml(url)}">`);
+    }
+    html = replaceOnce(html, /(<nav id="main-nav">\s*<ul>)\s*(<\/ul>)/, `$1${sidebar}$2`, 'sidebar');
+    html = replaceOnce(html, /<main class="content" id="content">[\s\S]*?<\/main>/,
+        `<main class="content" id="content" data-page="${escapeHtml(page.file)}">\n${content}\n        </main>`, '#content');
+    return html;
+}
+
+// Last commit date of a file, or its modification time outside a git checkout
+function lastModified(filePath) {
+    try {
+        const date = execFileSync('git', ['log', '-1', '--format=%cI', '--', filePath], { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+        if (date) {
+            return date.substring(0, 10);
+        }
+    } catch (error) {
+        // Not a git checkout
+    }
+    return fs.statSync(filePath).mtime.toISOString().substring(0, 10);
+}
+
+function renderSitemap(siteUrl, pages) {
+    const urls = pages.map(page => `  <url>\n    <loc>${escapeHtml(new URL(pageOutputPath(page.file), siteUrl).href)}</loc>\n    <lastmod>${lastModified(path.join(DOCS_DIR, page.file))}</lastmod>\n  </url>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n  <url>\n    <loc>${escapeHtml(siteUrl)}</loc>\n  </url>\n${urls.join('\n')}\n</urlset>\n`;
+}
+
+function copySite(output) {
+    SITE_FILES.forEach(file => {
+        const source = path.join(ROOT, file);
+        if (fs.existsSync(source)) {
+            fs.copyFileSync(source, path.join(output, file));
+        }
+    });
+    SITE_DIRECTORIES.forEach(directory => {
+        const source = path.join(ROOT, directory);
+        if (fs.existsSync(source)) {
+            fs.cpSync(source, path.join(output, directory), { recursive: true });
+        }
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const manifest = readJson('manifest.json');
+    const schema = readJson('manifest.schema.json');
+    const config = readJson('config.json', {});
+
+    const errors = validateManifest(manifest, schema);
+    if (errors.length > 0) {
+        console.error('manifest.json is invalid:');
+        errors.forEach(error => console.error(`  ${error}`));
+        process.exit(1);
+    }
+
+    configureMarked(marked);
+    hljs.registerLanguage('luma', lumaGrammar);
+
+    const template = setConnectSources(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'),
+        stdLibOrigins(resolveStdLibConfig(config)));
+    const siteTitle = stripTags(template.match(/<title>([^<]*)<\/title>/)[1]);
+    const siteDescription = unescapeHtml(template.match(/<meta name="description" content="([^"]*)">/)[1]);
+    let siteUrl = options.url || (config.site && config.site.url) || null;
+    if (siteUrl && !siteUrl.endsWith('/')) {
+        siteUrl += '/';
+    }
+
+    // Front matter first: it supplies titles for the sidebar and navigation
+    const documents = {};
+    listManifestPages(manifest).forEach(({ file }) => {
+        const filePath = path.join(DOCS_DIR, file);
+        if (!fs.existsSync(filePath)) {
+            console.warn(`Skipping ${file}: not found in docs/`);
+            return;
+        }
+        documents[file] = readPageMetadata(fs.readFileSync(filePath, 'utf8'));
+    });
+    const titles = {};
+    Object.entries(documents).forEach(([file, { metadata }]) => {
+        if (metadata.title) {
+            titles[file] = metadata.title;
+        }
+    });
+
+    const pages = listManifestPages(manifest, titles).filter(page => page.file in documents);
+    const order = pages.filter(page => !page.hidden);
+    const pageFiles = new Set(pages.map(page => page.file));
+    const sidebar = renderSidebar(manifest, titles);
+
+    fs.rmSync(options.output, { recursive: true, force: true });
+    fs.mkdirSync(options.output, { recursive: true });
+    copySite(options.output);
+    fs.writeFileSync(path.join(options.output, 'index.html'), template);
+
+    pages.forEach(page => {
+        const { metadata, body } = documents[page.file];
+        const html = rewriteLinks(highlightCode(marked.parse(body)), page.file, pageFiles);
+        const heading = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/);
+        const pageTitle = metadata.title || (heading ? stripTags(heading[1]).trim() : page.title);
+        const { breadcrumbs, pageNav } = renderPageNavigation(page, order);
+
+        const outputFile = path.join(options.output, pageOutputPath(page.file));
+        fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+        fs.writeFileSync(outputFile, renderPage(template, { ...page, title: pageTitle }, {
+            content: breadcrumbs + html + pageNav,
+            sidebar: sidebar,
+            title: pageTitle === siteTitle ? siteTitle : `${pageTitle} - ${siteTitle}`,
+            description: metadata.description || siteDescription,
+            url: siteUrl ? new URL(pageOutputPath(page.file), siteUrl).href : null
+        }));
+    });
+
+    if (siteUrl) {
+        fs.writeFileSync(path.join(options.output, 'sitemap.xml'), renderSitemap(siteUrl, pages));
+    } else {
+        console.warn('No site URL: set site.url in config.json or pass --url to write sitemap.xml');
+    }
+
+    console.log(`Rendered ${pages.length} pages -> ${path.relative(process.cwd(), options.output) || '.'}`);
+}
+
+main();
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// Check the docs for broken links, anchors that don't exist and drift
+// between manifest.json and docs/. Exits with status 1 when anything is
+// wrong, so it can gate merges.
+//
+// Links are resolved the way the site resolves them (resolveDocLink in
+// markdown.js): .md links are docs pages relative to docs/, #id is an id on
+// the same page and other links are files relative to the site. Links to
+// other sites and to the Standard Library (#stdlib/...) aren't checked. The
+// `doc` routes in luma-language.js are checked like links.
+//
+// Usage: node tools/check-links.js
+
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+const { configureMarked, resolveDocLink } = require('../markdown');
+const { listManifestFiles, validateManifest } = require('../docs-manifest');
+const { readPageMetadata } = require('../search-core');
+const { LUMA_LANGUAGE } = require('../luma-language');
+
+const ROOT = path.resolve(__dirname, '..');
+const DOCS_DIR = path.join(ROOT, 'docs');
+
+function listMarkdownFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return listMarkdownFiles(full);
+            }
+            return entry.name.endsWith('.md') ? [path.relative(DOCS_DIR, full).split(path.sep).join('/')] : [];
+        });
+}
+
+// Links of one page as { href, line }, in document order
+function extractLinks(markdown) {
+    const { body } = readPageMetadata(markdown);
+    const offset = markdown.length - body.length;
+    const links = [];
+    let cursor = 0;
+
+    const lineOf = (raw) => {
+        let index = markdown.indexOf(raw, offset + cursor);
+        if (index === -1) {
+            index = markdown.indexOf(raw, offset);
+        } else {
+            cursor = index - offset;
+        }
+        return index === -1 ? null : markdown.substring(0, index).split('\n').length;
+    };
+
+    const visit = (tokens) => (tokens || []).forEach(token => {
+        if (token.type === 'link' || token.type === 'image') {
+            links.push({ href: token.href, line: lineOf(token.raw) });
+        } else if (token.type === 'html') {
+            const pattern = /\s(?:href|src)="([^"]*)"/g;
+            let match;
+            while ((match = pattern.exec(token.raw)) !== null) {
+                links.push({ href: match[1], line: lineOf(token.raw) });
+            }
+        }
+        visit(token.tokens);
+        (token.items || []).forEach(item => visit(item.tokens));
+        (token.header || []).forEach(cell => visit(cell.tokens));
+        (token.rows || []).forEach(row => row.forEach(cell => visit(cell.tokens)));
+    });
+    visit(marked.lexer(body));
+    return links;
+}
+
+// Every id on the rendered page: headings, code blocks, raw HTML
+function collectIds(markdown) {
+    const html = marked.parse(readPageMetadata(markdown).body);
+    return new Set(Array.from(html.matchAll(/\sid="([^"]*)"/g), match => match[1]));
+}
+
+function main() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.schema.json'), 'utf8'));
+    const problems = [];
+    const report = (location, message) => problems.push(`${location}: ${message}`);
+
+    validateManifest(manifest, schema).forEach(error => report('manifest.json', error));
+
+    configureMarked(marked);
+
+    const files = listMarkdownFiles(DOCS_DIR);
+    const existing = new Set(files);
+    const listed = listManifestFiles(manifest);
+    const listedSet = new Set(listed);
+
+    listed.filter(file => !existing.has(file)).forEach(file => {
+        report('manifest.json', `lists ${file}, which is not in docs/`);
+    });
+    files.filter(file => !listedSet.has(file)).forEach(file => {
+        report(`docs/${file}`, 'is not listed in manifest.json');
+    });
+
+    const sources = {};
+    const ids = {};
+    files.forEach(file => {
+        sources[file] = fs.readFileSync(path.join(DOCS_DIR, file), 'utf8');
+    });
+    const idsOf = (file) => {
+        if (!ids[file]) {
+            ids[file] = collectIds(sources[file]);
+        }
+        return ids[file];
+    };
+
+    const check = (location, href, page) => {
+        const target = resolveDocLink(href, page);
+        if (!target) {
+            return;
+        }
+        if (target.file) {
+            if (!fs.existsSync(path.join(ROOT, target.file))) {
+                report(location, `broken link ${href}: ${target.file} does not exist`);
+            }
+            return;
+        }
+        if (!existing.has(target.page)) {
+            const differentCase = files.find(file => file.toLowerCase() === target.page.toLowerCase());
+            report(location, differentCase
+                ? `broken link ${href}: no page ${target.page} (did you mean ${differentCase}?)`
+                : `broken link ${href}: no page ${target.page} in docs/`);
+            return;
+        }
+        if (target.anchor && !idsOf(target.page).has(target.anchor)) {
+            report(location, `broken link ${href}: ${target.page} has no heading #${target.anchor}`);
+        }
+    };
+
+    files.forEach(file => {
+        extractLinks(sources[file]).forEach(({ href, line }) => {
+            check(line ? `docs/${file}:${line}` : `docs/${file}`, href, file);
+        });
+    });
+
+    Object.values(LUMA_LANGUAGE).flat().forEach(entry => {
+        check(`luma-language.js (${entry.name})`, `#${entry.doc}`, null);
+    });
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`\n${problems.length} problem${problems.length === 1 ? '' : 's'} in ${files.length} pages`);
+        process.exit(1);
+    }
+    console.log(`Checked ${files.length} pages: no broken links`);
+}
+
+main();
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// Compile and run the ```luma examples in docs/ so they can't silently go
+// out of date as the language changes.
+//
+// Each fence is a test named after its page and code block id
+// (getting-started/Quick-Start.md#code-1). What happens to it depends on
+// docTestMode in markdown.js: complete programs are compiled and run and
+// their output compared with their `// Output:` comments, fences marked
+// `no-run` are only compiled, `should-fail` ones must fail, and fragments or
+// fences marked `ignore` are reported as skipped.
+//
+// The compiler is run through the commands in the "doctest" section of
+// config.json, or --compile / --run:
+//
+//   {file}    the example, written to a temporary main.lx
+//   {binary}  where the compiled program should go
+//   {dir}     the temporary directory (also the working directory)
+//
+// Examples without an @module line are compiled as module "main".
+//
+// Usage: node tools/doc-tests.js [--format tap|junit] [--output file]
+//            [--filter text] [--compile command] [--run command] [--list]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { marked } = require('marked');
+const { configureMarked, codeBlockId, parseFenceInfo, splitDiffMarkers, copyableCode, stripTags, docTestMode, expectedOutput } = require('../markdown');
+const { listManifestFiles } = require('../docs-manifest');
+const { readPageMetadata } = require('../search-core');
+
+const ROOT = path.resolve(__dirname, '..');
+const DOCS_DIR = path.join(ROOT, 'docs');
+const DEFAULT_TIMEOUT = 10000;
+
+function parseArgs(argv) {
+    const options = { format: 'tap', output: null, filter: null, compile: null, run: null, list: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--list') {
+            options.list = true;
+        } else if (['--format', '--output', '--filter', '--compile', '--run'].includes(arg)) {
+            options[arg.substring(2)] = argv[++i];
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    if (!['tap', 'junit'].includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}"; use tap or junit`);
+    }
+    return options;
+}
+
+// The Luma fences of one page as
+// { id, file, line, heading, mode, ignored, code, expected }
+function extractExamples(file) {
+    const markdown = fs.readFileSync(path.join(DOCS_DIR, file), 'utf8');
+    const { body } = readPageMetadata(markdown);
+    const offset = markdown.length - body.length;
+    const examples = [];
+    let count = 0;
+    let heading = null;
+    let cursor = offset;
+
+    const lineOf = (raw) => {
+        const index = markdown.indexOf(raw, cursor);
+        if (index === -1) {
+            return null;
+        }
+        cursor = index + raw.length;
+        return markdown.substring(0, index).split('\n').length;
+    };
+
+    const visit = (tokens) => (tokens || []).forEach(token => {
+        if (token.type === 'heading') {
+            heading = stripTags(marked.Parser.parseInline(token.tokens));
+        } else if (token.type === 'code') {
+            const id = codeBlockId(++count);
+            const line = lineOf(token.raw);
+            const fence = parseFenceInfo(token.lang);
+            // Diff fences are tested as the code they end up with
+            const diff = fence.diff ? splitDiffMarkers(token.text) : null;
+            const code = diff ? copyableCode(diff.code, fence.lang, diff.markers) : token.text;
+            const mode = docTestMode(fence, diff ? diff.code : token.text);
+            if (mode) {
+                examples.push({ id: `${file}#${id}`, file, line, heading, mode, ignored: fence.test === 'ignore', code, expected: expectedOutput(code) });
+            }
+            return;
+        }
+        visit(token.tokens);
+        (token.items || []).forEach(item => visit(item.tokens));
+    });
+    visit(marked.lexer(body));
+    return examples;
+}
+
+function quote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function fillCommand(template, paths) {
+    return template.replace(/\{(file|binary|dir)\}/g, (match, name) => quote(paths[name]));
+}
+
+function execute(command, cwd, timeout) {
+    const result = spawnSync(command, { shell: true, cwd, timeout, input: '', encoding: 'utf8' });
+    return {
+        ok: result.status === 0 && !result.error,
+        timedOut: Boolean(result.error && result.error.code === 'ETIMEDOUT'),
+        status: result.status,
+        stdout: result.stdout || '',
+        stderr: result.stderr || ''
+    };
+}
+
+const normalizeOutput = (text) => text.replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim();
+
+// Run one example: { status: 'pass' | 'fail' | 'skip', message, details }
+function runExample(example, commands, workDir) {
+    if (example.mode === 'illustrative') {
+        return { status: 'skip', message: example.ignored ? 'marked ignore' : 'fragment (no main function)' };
+    }
+
+    const dir = fs.mkdtempSync(path.join(workDir, 'example-'));
+    const paths = { dir, file: path.join(dir, 'main.lx'), binary: path.join(dir, 'main') };
+    const source = /^\s*@module\b/m.test(example.code) ? example.code : `@module "main"\n\n${example.code}`;
+    fs.writeFileSync(paths.file, source);
+
+    const compiled = execute(fillCommand(commands.compile, paths), dir, commands.timeout);
+    if (compiled.timedOut) {
+        return { status: 'fail', message: 'compiler timed out' };
+    }
+    if (example.mode === 'should-fail' && !compiled.ok) {
+        return { status: 'pass' };
+    }
+    if (!compiled.ok) {
+        return { status: 'fail', message: `does not compile (exit ${compiled.status})`, details: compiled.stderr || compiled.stdout };
+    }
+    if (example.mode === 'no-run') {
+        return { status: 'pass' };
+    }
+
+    const ran = execute(fillCommand(commands.run, paths), dir, commands.timeout);
+    if (example.mode === 'should-fail') {
+        return ran.ok
+            ? { status: 'fail', message: 'compiled and ran successfully, but is marked should-fail' }
+            : { status: 'pass' };
+    }
+    if (ran.timedOut) {
+        return { status: 'fail', message: 'program timed out' };
+    }
+    if (!ran.ok) {
+        return { status: 'fail', message: `program exited with status ${ran.status}`, details: ran.stderr || ran.stdout };
+    }
+    if (example.expected !== null && normalizeOutput(ran.stdout) !== normalizeOutput(example.expected)) {
+        return {
+            status: 'fail',
+            message: 'output differs from the // Output: comment',
+            details: `expected:\n${example.expected}\nactual:\n${normalizeOutput(ran.stdout)}`
+        };
+    }
+    return { status: 'pass' };
+}
+
+function location(example) {
+    return example.line ? `docs/${example.file}:${example.line}` : `docs/${example.file}`;
+}
+
+function testName(example) {
+    return example.heading ? `${example.id} (${example.heading})` : example.id;
+}
+
+function formatTap(results) {
+    const lines = ['TAP version 13', `1..${results.length}`];
+    results.forEach(({ example, result }, i) => {
+        const name = testName(example).replace(/#/g, '\\#');
+        if (result.status === 'skip') {
+            lines.push(`ok ${i + 1} - ${name} # SKIP ${result.message}`);
+            return;
+        }
+        lines.push(`${result.status === 'pass' ? 'ok' : 'not ok'} ${i + 1} - ${name}`);
+        if (result.status === 'fail') {
+            lines.push('  ---');
+            lines.push(`  message: ${JSON.stringify(result.message)}`);
+            lines.push(`  at: ${JSON.stringify(location(example))}`);
+            lines.push(`  mode: ${example.mode}`);
+            if (result.details) {
+                lines.push('  details: |');
+                result.details.trimEnd().split('\n').forEach(line => lines.push(`    ${line}`));
+            }
+            lines.push('  ...');
+        }
+    });
+    return lines.join('\n') + '\n';
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// One <testsuite> per page
+function formatJunit(results) {
+    const suites = new Map();
+    results.forEach(entry => {
+        if (!suites.has(entry.example.file)) {
+            suites.set(entry.example.file, []);
+        }
+        suites.get(entry.example.file).push(entry);
+    });
+
+    const count = (entries, status) => entries.filter(({ result }) => result.status === status).length;
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    lines.push(`<testsuites name="doc-tests" tests="${results.length}" failures="${count(results, 'fail')}" skipped="${count(results, 'skip')}">`);
+    suites.forEach((entries, file) => {
+        lines.push(`  <testsuite name="docs/${escapeXml(file)}" tests="${entries.length}" failures="${count(entries, 'fail')}" skipped="${count(entries, 'skip')}">`);
+        entries.forEach(({ example, result, time }) => {
+            const attributes = `name="${escapeXml(testName(example))}" classname="docs/${escapeXml(file)}" file="docs/${escapeXml(file)}" line="${example.line || ''}" time="${(time / 1000).toFixed(3)}"`;
+            if (result.status === 'pass') {
+                lines.push(`    <testcase ${attributes}/>`);
+            } else if (result.status === 'skip') {
+                lines.push(`    <testcase ${attributes}><skipped message="${escapeXml(result.message)}"/></testcase>`);
+            } else {
+                lines.push(`    <testcase ${attributes}><failure message="${escapeXml(result.message)}">${escapeXml(result.details || '')}</failure></testcase>`);
+            }
+        });
+        lines.push('  </testsuite>');
+    });
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    const configPath = path.join(ROOT, 'config.json');
+    const config = (fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {}).doctest || {};
+
+    configureMarked(marked);
+
+    const examples = listManifestFiles(manifest)
+        .filter(file => fs.existsSync(path.join(DOCS_DIR, file)))
+        .flatMap(extractExamples)
+        .filter(example => !options.filter || example.id.includes(options.filter));
+
+    if (options.list) {
+        examples.forEach(example => console.log(`${example.mode.padEnd(12)} ${location(example)}  ${testName(example)}`));
+        return;
+    }
+
+    const commands = {
+        compile: options.compile || config.compile,
+        run: options.run || config.run || '{binary}',
+        timeout: config.timeout || DEFAULT_TIMEOUT
+    };
+    if (!commands.compile) {
+        console.error('No compiler command: set doctest.compile in config.json or pass --compile');
+        process.exit(2);
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'luma-doc-tests-'));
+    const results = [];
+    try {
+        examples.forEach(example => {
+            const start = Date.now();
+            const result = runExample(example, commands, workDir);
+            results.push({ example, result, time: Date.now() - start });
+            if (result.status === 'fail') {
+                console.error(`FAIL ${testName(example)} (${location(example)}): ${result.message}`);
+            }
+        });
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    const report = options.format === 'junit' ? formatJunit(results) : formatTap(results);
+    if (options.output) {
+        fs.writeFileSync(path.resolve(options.output), report);
+    } else {
+        process.stdout.write(report);
+    }
+
+    const count = (status) => results.filter(({ result }) => result.status === status).length;
+    console.error(`${count('pass')} passed, ${count('fail')} failed, ${count('skip')} skipped (fragments or marked ignore)`);
+    process.exit(count('fail') > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// Mirror the Standard Library docs from GitHub into a local folder so the
+// site can serve them with `"source": "local"` in config.json (offline
+// machines, local previews). Files whose git sha hasn't changed since the
+// last sync are not downloaded again.
+//
+// Usage: node tools/sync-stdlib.js [--out <dir>] [--repo <owner/name>] [--path <dir>] [--ref <branch>]
+//
+// Set GITHUB_TOKEN to raise the GitHub API rate limit.
+
+const fs = require('fs');
+const path = require('path');
+const {
+    resolveStdLibConfig,
+    stdLibListingUrl,
+    parseStdLibListing,
+    describeStdLibSource
+} = require('../stdlib-source');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--(out|repo|path|ref)$/);
+        if (!match || i + 1 >= argv.length) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        }
+        args[match[1]] = argv[++i];
+    }
+    return args;
+}
+
+function readConfig() {
+    const configPath = path.join(ROOT, 'config.json');
+    return fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+}
+
+async function request(url, accept) {
+    const headers = { 'User-Agent': 'luma-docs-sync', Accept: accept };
+    if (process.env.GITHUB_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+    }
+
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+        throw new Error(`${url} responded with ${response.status} ${response.statusText}`);
+    }
+    return response;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const stdlib = resolveStdLibConfig(readConfig());
+
+    // Always sync from GitHub, whatever source the site is currently using
+    const upstream = {
+        ...stdlib,
+        source: 'github',
+        github: {
+            ...stdlib.github,
+            ...(args.repo && { repo: args.repo }),
+            ...(args.path && { path: args.path }),
+            ...(args.ref && { ref: args.ref })
+        }
+    };
+
+    const outDir = path.resolve(ROOT, args.out || stdlib.local.path);
+    const indexPath = path.join(outDir, stdlib.local.index);
+    const previous = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : { files: [] };
+    const previousShas = new Map(previous.files.map(file => [file.name, file.sha]));
+
+    const listingUrl = stdLibListingUrl(upstream);
+    console.log(`Syncing ${describeStdLibSource(upstream)} -> ${path.relative(process.cwd(), outDir) || '.'}`);
+
+    const listing = await (await request(listingUrl, 'application/vnd.github+json')).json();
+    const files = parseStdLibListing(upstream, listingUrl, listing);
+    if (files.length === 0) {
+        throw new Error('No markdown files found upstream');
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+
+    let downloaded = 0;
+    for (const file of files) {
+        const target = path.join(outDir, file.name);
+        if (previousShas.get(file.name) === file.sha && fs.existsSync(target)) {
+            continue;
+        }
+        const markdown = await (await request(file.download_url, 'text/plain')).text();
+        fs.writeFileSync(target, markdown);
+        downloaded++;
+    }
+
+    // Remove pages that were mirrored before but no longer exist upstream
+    const current = new Set(files.map(file => file.name));
+    const removed = previous.files.filter(file => !current.has(file.name));
+    removed.forEach(file => {
+        const target = path.join(outDir, file.name);
+        if (fs.existsSync(target)) {
+            fs.unlinkSync(target);
+        }
+    });
+
+    const index = {
+        source: describeStdLibSource(upstream),
+        ref: upstream.github.ref,
+        files: files.map(file => ({ name: file.name, sha: file.sha }))
+    };
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+
+    console.log(`${files.length} files (${downloaded} downloaded, ${removed.length} removed)`);
+}
+
+main().catch(error => {
+    console.error(`sync-stdlib: ${error.message}`);
+    process.exit(1);
+});